@@ -6,8 +6,10 @@
  */
 
 import { readFileSync } from 'node:fs';
+import { resolve } from 'node:path';
+import { pathToFileURL } from 'node:url';
 import { argv, exit } from 'node:process';
-import hmax, { config, generateSecret, generatePepper } from '../src/index.js';
+import hmax, { config, algorithms, generateSecret, generatePepper, BreachChecker } from '../src/index.js';
 
 // CLI version
 const CLI_VERSION = '1.0.0';
@@ -27,10 +29,15 @@ Commands:
   gen-pepper              Generate a new pepper
   inspect <hash>          Inspect hash metadata and security
   config                  Show current configuration
+  breach build <in> <out> Compile a breached-password dump into a filter file
 
 Options:
-  --algorithm <alg>       Hash algorithm (argon2id, pbkdf2)
+  --algorithm <alg>       Hash algorithm (argon2id, scrypt, pbkdf2 or a plugin's)
+  --plugin <module>       Register the algorithm a module exports by default
   --pepper <file>         Pepper file path
+  --context <id>          Bind the hash to a context such as a user ID
+  --breach <path>         Refuse passwords found in a breach dump, directory or filter
+  --fp-rate <rate>        False positive rate of a built filter (default 0.001)
   --config <file>         Configuration file
   --help                 Show this help
   --version              Show version
@@ -40,6 +47,7 @@ Examples:
   hmax verify "myPassword" "hmax$2$argon2id$..."
   hmax gen-secret
   hmax inspect "hmax$2$argon2id$..."
+  hmax breach build pwned-passwords-sha1.txt pwned.filter
 `;
 
 /**
@@ -62,6 +70,7 @@ async function main() {
 
   try {
     await hmax.initialize();
+    await loadPlugins(args);
 
     switch (command) {
       case 'hash':
@@ -82,6 +91,9 @@ async function main() {
       case 'config':
         handleConfig();
         break;
+      case 'breach':
+        await handleBreach(args.slice(1));
+        break;
       default:
         console.error(`Unknown command: ${command}`);
         console.log(HELP_TEXT);
@@ -104,8 +116,11 @@ async function handleHash(args) {
 
   const options = parseOptions(args.slice(1));
   const pepper = await loadPepper(options.pepper);
+  if (options.breach) {
+    hmax.setBreachChecker(BreachChecker.load(options.breach));
+  }
 
-  const hash = await hmax.createHash(password, { pepper });
+  const hash = await hmax.createHash(password, { algorithm: options.algorithm, pepper, context: options.context });
   console.log(hash);
 }
 
@@ -123,7 +138,7 @@ async function handleVerify(args) {
   const options = parseOptions(args.slice(2));
   const pepper = await loadPepper(options.pepper);
 
-  const result = await hmax.verifyPassword(password, hash, pepper);
+  const result = await hmax.verifyPassword(password, hash, pepper, { context: options.context });
   
   if (result.verified) {
     console.log('✓ Password verified successfully');
@@ -175,7 +190,10 @@ function handleInspect(args) {
 
   console.log('Hash Inspection Report:');
   console.log('======================');
-  console.log(`Format: ${metadata.algorithm} v${metadata.version}`);
+  const form = metadata.plain
+    ? `imported ${metadata.format === 'phc' ? 'PHC' : 'legacy'}`
+    : `v${metadata.version}${metadata.format === 'phc' ? ' (PHC)' : ''}`;
+  console.log(`Format: ${metadata.algorithm} ${form}`);
   console.log(`Security: ${audit.secure ? '✓ SECURE' : '✗ INSECURE'}`);
   
   if (audit.issues.length > 0) {
@@ -190,16 +208,37 @@ function handleInspect(args) {
 
   console.log('\nMetadata:');
   console.log(`  Algorithm: ${metadata.algorithm}`);
-  console.log(`  Version: ${metadata.version}`);
+  if (metadata.plain) {
+    console.log('  Secret Layer: (none, imported hash)');
+  } else {
+    console.log(`  Version: ${metadata.version}`);
+    console.log(`  Secret Key ID: ${metadata.keyId || '(none, pre-v4 hash)'}`);
+    console.log(`  HMAC Algorithm: ${metadata.hmacAlgorithm}`);
+    console.log(`  Context Bound: ${metadata.contextBinding ? 'yes (verify with --context)' : 'no'}`);
+    console.log(`  Normalization: ${metadata.normalization || 'none'}`);
+    console.log(`  Integrity Tag: ${metadata.integrity || 'none'}`);
+  }
   console.log(`  Salt Length: ${metadata.saltLength} bytes`);
   console.log(`  Hash Length: ${metadata.hashLength} bytes`);
 
-  if (metadata.algorithm === 'argon2id') {
+  if (metadata.algorithm === 'argon2id' || metadata.algorithm === 'argon2id-legacy') {
     console.log(`  Memory Cost: ${metadata.memoryCost}`);
     console.log(`  Time Cost: ${metadata.timeCost}`);
     console.log(`  Parallelism: ${metadata.parallelism}`);
-  } else if (metadata.algorithm === 'pbkdf2') {
+  } else if (metadata.algorithm === 'scrypt') {
+    console.log(`  Cost (N): ${metadata.cost}`);
+    console.log(`  Block Size (r): ${metadata.blockSize}`);
+    console.log(`  Parallelization (p): ${metadata.parallelization}`);
+  } else if (algorithms.has(metadata.algorithm) && !algorithms.isBuiltin(metadata.algorithm)) {
+    const params = algorithms.encodeParams(metadata.algorithm, metadata);
+    console.log(`  Parameters: ${Object.entries(params).map(([key, value]) => `${key}=${value}`).join(',')}`);
+  } else if (metadata.iterations !== undefined) {
     console.log(`  Iterations: ${metadata.iterations}`);
+    console.log(`  Digest: ${metadata.digest}`);
+  } else if (metadata.algorithm === 'bcrypt') {
+    console.log(`  Cost: ${metadata.cost}`);
+  } else if (metadata.rounds !== undefined) {
+    console.log(`  Rounds: ${metadata.rounds}`);
   }
 }
 
@@ -212,6 +251,26 @@ function handleConfig() {
   console.log(JSON.stringify(currentConfig, null, 2));
 }
 
+/**
+ * Handle breach command
+ */
+async function handleBreach(args) {
+  const [subcommand, input, output] = args;
+  if (subcommand !== 'build' || !input || !output) {
+    throw new Error('Usage: hmax breach build <input> <output> [--fp-rate <rate>]');
+  }
+
+  const options = parseOptions(args.slice(3));
+  const stats = await BreachChecker.buildFilter(input, output, {
+    falsePositiveRate: options.fpRate === undefined ? undefined : Number(options.fpRate)
+  });
+
+  console.log(`✓ Breach filter written to ${output}`);
+  console.log(`  Entries: ${stats.entries}`);
+  console.log(`  Size: ${stats.bytes} bytes (${stats.hashes} hash functions)`);
+  console.log(`  False Positive Rate: ${stats.falsePositiveRate}`);
+}
+
 /**
  * Parse CLI options
  */
@@ -223,6 +282,12 @@ function parseOptions(args) {
       options.algorithm = args[++i];
     } else if (args[i] === '--pepper' && args[i + 1]) {
       options.pepper = args[++i];
+    } else if (args[i] === '--context' && args[i + 1]) {
+      options.context = args[++i];
+    } else if (args[i] === '--breach' && args[i + 1]) {
+      options.breach = args[++i];
+    } else if (args[i] === '--fp-rate' && args[i + 1]) {
+      options.fpRate = args[++i];
     } else if (args[i] === '--config' && args[i + 1]) {
       // Load configuration file
       const configFile = args[++i];
@@ -234,6 +299,18 @@ function parseOptions(args) {
   return options;
 }
 
+/**
+ * Register the algorithm definitions exported by --plugin modules
+ */
+async function loadPlugins(args) {
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--plugin' && args[i + 1]) {
+      const plugin = await import(pathToFileURL(resolve(args[++i])).href);
+      hmax.registerAlgorithm(plugin.default);
+    }
+  }
+}
+
 /**
  * Load pepper from file
  */
@@ -8,20 +8,34 @@ declare module 'hmax-secure' {
   export interface HMaxConfig {
     saltLength: number;
     hmacAlgorithm: 'sha256' | 'sha384' | 'sha512';
+    /** Default for createHash and createHashSync, and the cost dummy verifications imitate */
+    algorithm: 'argon2id' | 'scrypt' | 'pbkdf2' | (string & {});
+    /** Applied to new string passwords and recorded in the hash */
+    passwordNormalization: PasswordNormalization;
     argon2: {
       memoryCost: number;
       timeCost: number;
       parallelism: number;
       version: number;
-      associatedData: Buffer | null;
     };
     pbkdf2: {
       iterations: number;
       digest: 'sha256' | 'sha384' | 'sha512';
     };
+    scrypt: {
+      /** N, a power of two */
+      cost: number;
+      /** r */
+      blockSize: number;
+      /** p */
+      parallelization: number;
+      /** Largest working memory a derivation may use, in bytes */
+      maxmem: number;
+    };
     secrets: {
       enablePepper: boolean;
       enableRotation: boolean;
+      enableSeal: boolean;
       maxPreviousSecrets: number;
       currentSecret: Buffer | null;
       previousSecrets: Buffer[];
@@ -30,36 +44,148 @@ declare module 'hmax-secure' {
       saltEncoding: 'base64' | 'hex';
       hashEncoding: 'base64' | 'hex';
       formatVersion: number;
+      /** Tag new v6 hashes, and refuse v6 hashes without a tag */
+      integrityTag: boolean;
+    };
+    policy: {
+      enabled: boolean;
+      /** Unicode code points */
+      minLength: number;
+      maxLength: number;
+      /** UTF-8 bytes */
+      minBytes: number;
+      maxBytes: number;
+      requireLowercase: boolean;
+      requireUppercase: boolean;
+      requireDigit: boolean;
+      requireSymbol: boolean;
+      /** Of lowercase, uppercase, digits and symbols (0-4) */
+      minCharacterClasses: number;
+      /** Case-insensitive substrings */
+      bannedWords: string[];
+      /** Reject passwords containing the username or email */
+      contextWords: boolean;
+      /** Longest run of one character (0 = no limit) */
+      maxRepeated: number;
+      /** Longest run like 'abcd' or '4321' (0 = no limit) */
+      maxSequential: number;
+      /** Reject passwords the breach checker reports, when one is set */
+      rejectBreached: boolean;
+    };
+    tokens: {
+      /** Default token lifetime in seconds */
+      ttl: number;
+      maxTtl: number;
+    };
+    workers: {
+      enabled: boolean;
+      size: number;
+      maxQueue: number;
+    };
+    limits: {
+      /** KiB of KDF working memory allowed in flight across the process */
+      maxMemory: number;
+      maxConcurrent: number;
+      maxWaiting: number;
+      /** Per-call timeout in ms (0 = none) */
+      timeout: number;
+    };
+    verification: {
+      /** Legacy formats to accept while migrating; [] (none) by default */
+      legacyFormats: Array<'bcrypt' | 'sha256crypt' | 'sha512crypt' | 'django-pbkdf2' | 'werkzeug-pbkdf2'>;
+      /** Accept PHC strings without hmax= (no secret layer); off by default, for imports only */
+      enablePlainPHC: boolean;
+      /** Stored hashes below these are refused before deriving (code HMAX_BELOW_MINIMUM) */
+      minimums: {
+        saltLength: number;
+        pbkdf2: { iterations: number };
+        scrypt: { cost: number; blockSize: number };
+        argon2: { memoryCost: number; timeCost: number; parallelism: number };
+        /** Legacy formats; Django and Werkzeug PBKDF2 use pbkdf2.iterations */
+        bcrypt: { cost: number };
+        shaCrypt: { rounds: number };
+      };
     };
   }
 
+  /** 'opaque' is the PRECIS OpaqueString profile (RFC 8265) */
+  export type PasswordNormalization = 'opaque' | 'nfc' | 'nfkc' | 'none';
+
+  export type LegacyAlgorithm = 'bcrypt' | 'sha256crypt' | 'sha512crypt' | 'django-pbkdf2' | 'werkzeug-pbkdf2';
+
   export interface HashMetadata {
-    version: number;
-    algorithm: 'argon2id' | 'pbkdf2' | 'hmac-sha512';
+    /** Absent on imported (plain) PHC and legacy hashes */
+    version?: number;
+    algorithm: 'argon2id' | 'argon2id-legacy' | 'pbkdf2' | 'scrypt' | 'hmac-sha512' | LegacyAlgorithm | (string & {});
+    keyId: string | null;
     salt: Buffer;
     hash: Buffer;
+    hmacAlgorithm?: 'sha256' | 'sha384' | 'sha512';
+    keyLength?: number;
     iterations?: number;
+    digest?: 'sha1' | 'sha256' | 'sha384' | 'sha512';
+    /** scrypt N or bcrypt cost */
+    cost?: number;
+    /** scrypt r */
+    blockSize?: number;
+    /** scrypt p */
+    parallelization?: number;
+    /** SHA-crypt rounds */
+    rounds?: number;
     memoryCost?: number;
     timeCost?: number;
     parallelism?: number;
+    seal?: 'aes-256-gcm';
+    pepperId?: string;
+    /** Inner layers of a wrapped hash (see wrapHash) */
+    wrapped?: string;
+    /** '1' when the hash is bound to a context (see HashOptions.context) */
+    contextBinding?: '1';
+    /** Normalization the password was hashed under; absent = as given */
+    normalization?: Exclude<PasswordNormalization, 'none'>;
+    /** Result of checking the trailing integrity tag, when present */
+    integrity?: 'verified' | 'unchecked';
+    /** Imported PHC or legacy hash with no HMAX secret layer */
+    plain?: boolean;
+    format?: 'phc' | 'legacy';
   }
 
   export interface PublicMetadata {
-    version: number;
+    version?: number;
     algorithm: string;
+    keyId: string | null;
     saltLength: number;
     hashLength: number;
+    hmacAlgorithm?: string;
+    keyLength?: number;
     iterations?: number;
+    digest?: string;
+    cost?: number;
+    blockSize?: number;
+    parallelization?: number;
+    rounds?: number;
     memoryCost?: number;
     timeCost?: number;
     parallelism?: number;
+    seal?: string;
+    pepperId?: string;
+    wrapped?: string;
+    contextBinding?: string;
+    normalization?: string;
+    integrity?: 'verified' | 'unchecked';
+    plain?: boolean;
+    format?: 'phc' | 'legacy';
   }
 
   export interface VerificationResult {
     verified: boolean;
     metadata?: PublicMetadata;
     needsMigration?: boolean;
+    usedCurrentSecret?: boolean;
+    usedCurrentPepper?: boolean;
+    secretId?: string | null;
     error?: string;
+    code?: string;
   }
 
   export interface MigrationResult {
@@ -70,6 +196,24 @@ declare module 'hmax-secure' {
     reason?: string;
   }
 
+  export interface ResealResult {
+    resealed: boolean;
+    hash?: string;
+    oldHash?: string;
+    newHash?: string;
+    fromKeyId?: string;
+    toKeyId?: string;
+  }
+
+  export interface WrapResult {
+    wrapped: boolean;
+    hash?: string;
+    oldHash?: string;
+    newHash?: string;
+    /** Number of derivation layers in newHash */
+    layers?: number;
+  }
+
   export interface AuditResult {
     secure: boolean;
     issues: string[];
@@ -78,31 +222,225 @@ declare module 'hmax-secure' {
   }
 
   export interface HashOptions {
-    algorithm?: 'argon2id' | 'pbkdf2';
+    /** A built-in or registered algorithm; default config.algorithm */
+    algorithm?: 'argon2id' | 'scrypt' | 'pbkdf2' | (string & {});
     pepper?: Buffer | null;
+    pepperId?: string;
     salt?: Buffer;
+    hmacAlgorithm?: 'sha256' | 'sha384' | 'sha512';
+    keyLength?: number;
     iterations?: number;
+    digest?: 'sha256' | 'sha384' | 'sha512';
     memoryCost?: number;
     timeCost?: number;
     parallelism?: number;
+    cost?: number;
+    blockSize?: number;
+    parallelization?: number;
+    /** Bind the hash to e.g. the user ID; verification must pass the same context */
+    context?: string | Uint8Array;
+    /** Words the password policy forbids (createHash, createHashSync) */
+    policyContext?: PolicyContext;
+    signal?: AbortSignal;
+    timeout?: number;
+    /** Parameters of registered algorithms */
+    [param: string]: unknown;
+  }
+
+  export interface PolicyContext {
+    username?: string | null;
+    email?: string | null;
+    /** e.g. first name, site name */
+    words?: string[];
+  }
+
+  export type PolicyViolationCode =
+    | 'TOO_SHORT' | 'TOO_LONG' | 'TOO_FEW_BYTES' | 'TOO_MANY_BYTES'
+    | 'MISSING_LOWERCASE' | 'MISSING_UPPERCASE' | 'MISSING_DIGIT' | 'MISSING_SYMBOL'
+    | 'TOO_FEW_CHARACTER_CLASSES' | 'BANNED_WORD' | 'CONTAINS_CONTEXT_WORD'
+    | 'REPEATED_CHARACTERS' | 'SEQUENTIAL_CHARACTERS' | 'BREACHED';
+
+  export interface PolicyViolation {
+    code: PolicyViolationCode;
+    message: string;
+    /** The configured limit the password broke, for length and run rules */
+    limit?: number;
+  }
+
+  // Breached passwords
+  export interface BreachSource {
+    isBreached(password: string | Uint8Array): boolean;
+  }
+
+  export interface BreachFilterStats {
+    entries: number;
+    bits: number;
+    hashes: number;
+    bytes: number;
+    falsePositiveRate: number;
+  }
+
+  export class BreachChecker implements BreachSource {
+    /** A SHA1:COUNT text dump, a directory of range files, or a filter from buildFilter */
+    static load(path: string): BreachChecker;
+    static buildFilter(input: string, output: string, options?: { falsePositiveRate?: number }): Promise<BreachFilterStats>;
+    isBreached(password: string | Uint8Array): boolean;
+    /** Times seen in breaches; 1 or 0 for a filter */
+    count(password: string | Uint8Array): number;
+    /** Hashes in the corpus; null for a range directory */
+    readonly size: number | null;
+    /** false for filters, which have false positives */
+    readonly exact: boolean;
+  }
+
+  export interface PolicyResult {
+    valid: boolean;
+    violations: PolicyViolation[];
+  }
+
+  export interface CallOptions {
+    signal?: AbortSignal;
+    timeout?: number;
+  }
+
+  export interface VerifyOptions extends CallOptions {
+    /** Algorithm whose cost is spent for a hash that fails before deriving; default config.algorithm */
+    dummyAlgorithm?: 'argon2id' | 'scrypt' | 'pbkdf2';
+    /** Required for context-bound hashes; an unbound hash verified with one needs migration */
+    context?: string | Uint8Array;
+  }
+
+  export interface MigrateOptions extends CallOptions {
+    /** Verify with this context and bind the new hash to it */
+    context?: string | Uint8Array;
+  }
+
+  export interface DummyOptions extends CallOptions {
+    algorithm?: 'argon2id' | 'scrypt' | 'pbkdf2';
+  }
+
+  export interface SchedulerStats {
+    maxMemory: number;
+    maxConcurrent: number;
+    maxWaiting: number;
+    timeout: number;
+    memoryInUse: number;
+    running: number;
+    waiting: number;
+    completed: number;
+    rejected: number;
+    timedOut: number;
+    aborted: number;
+  }
+
+  /** A hasher's derivation budget */
+  export interface KdfScheduler {
+    getStats(): SchedulerStats;
+  }
+
+  export interface WorkerPoolStats {
+    enabled: boolean;
+    size: number;
+    maxQueue: number;
+    threads: number;
+    busy: number;
+    idle: number;
+    queued: number;
+    completed: number;
+    failed: number;
+    rejected: number;
+  }
+
+  // Errors
+  export class HMaxError extends Error {
+    code: string;
+  }
+
+  /** Thrown by createHash/verifyPassword when a worker or budget queue is full */
+  export class OverloadedError extends HMaxError {
+    code: 'HMAX_OVERLOADED';
+  }
+
+  /** A stored hash is below verification.minimums */
+  export class MinimumParametersError extends HMaxError {
+    code: 'HMAX_BELOW_MINIMUM';
+  }
+
+  /** A stored hash's integrity tag does not match the rest of the string */
+  export class IntegrityError extends HMaxError {
+    code: 'HMAX_TAMPERED';
+  }
+
+  /** A stored hash is in a format the configuration does not accept (e.g. plain PHC) */
+  export class InvalidHashError extends HMaxError {
+    code: 'HMAX_INVALID_HASH';
+  }
+
+  /** A new password breaks the password policy */
+  export class PasswordPolicyError extends HMaxError {
+    code: 'HMAX_WEAK_PASSWORD';
+    violations: PolicyViolation[];
+  }
+
+  /** A single derivation needs more memory than limits.maxMemory */
+  export class BudgetExceededError extends HMaxError {
+    code: 'HMAX_BUDGET_EXCEEDED';
+  }
+
+  export class TimeoutError extends HMaxError {
+    code: 'HMAX_TIMEOUT';
+  }
+
+  export class AbortError extends HMaxError {
+    code: 'ABORT_ERR';
+  }
+
+  export interface SecretEntry {
+    id: string;
+    secret: Buffer;
   }
 
   export interface SecretsConfig {
     currentSecret?: Buffer;
-    previousSecrets?: Buffer[];
+    /** Stored alongside currentSecret; a random ID is assigned when omitted */
+    currentSecretId?: string;
+    previousSecrets?: Array<Buffer | SecretEntry>;
+    currentPepper?: Buffer;
+    currentPepperId?: string;
+    previousPeppers?: Array<Buffer | { id: string; pepper: Buffer }>;
   }
 
   // Main API
   export function initialize(secrets?: SecretsConfig): Promise<void>;
   export function createHash(password: string | Uint8Array, options?: HashOptions): Promise<string>;
   export function createHashSync(password: string | Uint8Array, options?: HashOptions): string;
-  export function verifyPassword(password: string | Uint8Array, encodedHash: string, pepper?: Buffer | null): Promise<VerificationResult>;
-  export function verifyPasswordSync(password: string | Uint8Array, encodedHash: string, pepper?: Buffer | null): VerificationResult;
+  export function verifyPassword(password: string | Uint8Array, encodedHash: string | null, pepper?: Buffer | null, options?: VerifyOptions): Promise<VerificationResult>;
+  export function verifyPasswordSync(password: string | Uint8Array, encodedHash: string | null, pepper?: Buffer | null, options?: VerifyOptions): VerificationResult;
+  export function verifyAgainstDummy(password: string | Uint8Array, options?: DummyOptions): Promise<VerificationResult>;
   export function extractMetadata(encodedHash: string): PublicMetadata;
-  export function migrateHashIfOutdated(password: string | Uint8Array, encodedHash: string, pepper?: Buffer | null): Promise<MigrationResult>;
+  export function toPHC(encodedHash: string): string;
+  export function fromPHC(phcString: string): string;
+  export function migrateHashIfOutdated(password: string | Uint8Array, encodedHash: string, pepper?: Buffer | null, options?: MigrateOptions): Promise<MigrationResult>;
   export function generateSecret(length?: number): Buffer;
   export function generatePepper(length?: number): Buffer;
   export function rotateSecret(newSecret?: Buffer): string;
+  export function rotatePepper(newPepper?: Buffer): string;
+  export function deriveSubkey(purpose: SubkeyPurpose, context?: string | Uint8Array): Buffer;
+  export function encrypt(plaintext: string | Uint8Array, options?: EncryptOptions): string;
+  export function decrypt(token: string, options?: EncryptOptions & { encoding?: null }): Buffer;
+  export function decrypt(token: string, options: EncryptOptions & { encoding: BufferEncoding }): string;
+  export function reencrypt(token: string, options?: EncryptOptions): ReencryptResult;
+  export function issueToken(options: IssueTokenOptions): string;
+  export function verifyToken(token: string, options: VerifyTokenOptions): Promise<TokenResult>;
+  export function setTokenStore(store: TokenStore | null): void;
+  export function checkPassword(password: string | Uint8Array, context?: PolicyContext): PolicyResult;
+  export function setBreachChecker(checker: BreachSource | null): void;
+  export function createApiKey(options?: CreateApiKeyOptions): ApiKey;
+  export function hashApiKey(key: string): string;
+  export function verifyApiKey(key: string, encodedHash: string): ApiKeyResult;
+  export function parseApiKey(key: string): { environment: string; id: string };
+  export function resealHash(encodedHash: string): ResealResult;
+  export function wrapHash(encodedHash: string, options?: HashOptions): Promise<WrapResult>;
   export function auditHash(encodedHash: string): AuditResult;
   export function getInfo(): {
     name: string;
@@ -110,25 +448,211 @@ declare module 'hmax-secure' {
     securityLevel: string;
     algorithms: string[];
     currentVersion: number;
+    legacyFormats: LegacyAlgorithm[];
+    workers: WorkerPoolStats;
+    scheduler: SchedulerStats;
   };
+  export function close(): Promise<void>;
 
   // Configuration API
-  export const config: {
+  export interface ConfigManager {
     getConfig(): HMaxConfig;
     setConfig(newConfig: Partial<HMaxConfig>): HMaxConfig;
     generateSecret(length?: number): Buffer;
-  };
+  }
+
+  export const config: ConfigManager;
 
   // Secret Management API
-  export const secretManager: {
-    setCurrentSecret(secret: Buffer): string;
+  export interface SecretManager {
+    /** Returns the secret's ID (random unless given); store it with the secret */
+    setCurrentSecret(secret: Buffer, id?: string): string;
     addPreviousSecret(secret: Buffer, id?: string): string;
     rotateSecrets(newSecret: Buffer): string;
     getCurrentSecret(): Buffer;
+    getCurrentSecretId(): string;
+    hasCurrentSecret(): boolean;
+    getSecretById(id: string): Buffer | null;
+    getSecretEntries(): SecretEntry[];
     getAllSecrets(): Buffer[];
-    onRotation(callback: (newSecretId: string, oldSecretId: string) => void): () => void;
+    setCurrentPepper(pepper: Buffer, id?: string): string;
+    addPreviousPepper(pepper: Buffer, id?: string): string;
+    rotatePeppers(newPepper: Buffer): string;
+    getCurrentPepperId(): string | null;
+    getPepperById(id: string): Buffer | null;
+    /** ID a hash records for a pepper passed to a call: its registered ID, else a random one */
+    getPepperId(pepper: Uint8Array): string;
+    deriveSubkey(purpose: SubkeyPurpose, context?: string | Uint8Array, keyId?: string | null): Buffer;
+    onRotation(callback: (newId: string, oldId: string, kind: 'secret' | 'pepper') => void): () => void;
     clear(): void;
-  };
+  }
+
+  export const secretManager: SecretManager;
+
+  // Field encryption
+  export interface EncryptOptions {
+    /** Authenticated, not stored; decrypt needs the same value */
+    context?: string | Uint8Array | null;
+  }
+
+  export interface ReencryptResult {
+    reencrypted: boolean;
+    token?: string;
+    oldToken?: string;
+    newToken?: string;
+    fromKeyId?: string;
+    toKeyId?: string;
+  }
+
+  // Signed tokens
+  export interface IssueTokenOptions {
+    subject: string;
+    /** e.g. 'password-reset'; 1-64 characters of [a-z0-9_-] */
+    purpose: string;
+    /** Lifetime in seconds (default tokens.ttl) */
+    ttl?: number;
+  }
+
+  export interface VerifyTokenOptions {
+    purpose: string;
+    subject?: string | null;
+  }
+
+  export type TokenResult =
+    | { valid: true; subject: string; purpose: string; expiresAt: Date; keyId: string }
+    | { valid: false; error: string };
+
+  export interface TokenStore {
+    /** true the first time a nonce is seen, false afterwards */
+    consume(nonce: string, expiresAt: number): boolean | Promise<boolean>;
+  }
+
+  export class MemoryTokenStore implements TokenStore {
+    consume(nonce: string, expiresAt: number): boolean;
+  }
+
+  // API keys
+  export interface CreateApiKeyOptions {
+    /** 1-16 characters of [a-z] (default 'live') */
+    environment?: string;
+  }
+
+  export interface ApiKey {
+    /** hmx_<environment>_<id>_<secret>; show once, never store */
+    key: string;
+    /** Non-secret lookup ID */
+    id: string;
+    environment: string;
+    hash: string;
+  }
+
+  export type ApiKeyResult =
+    | { verified: true; id: string; environment: string; needsMigration: boolean; secretId: string }
+    | { verified: false; id: null; environment: null; needsMigration: false; secretId: null }
+    | { verified: false; error: string; needsMigration: false };
+
+  // Key hierarchy
+  export type SubkeyPurpose = 'hmac' | 'seal' | 'pepper' | 'encryption' | 'token' | 'integrity' | 'apikey';
+
+  /** HKDF info label of each purpose */
+  export const SUBKEY_PURPOSES: Readonly<Record<SubkeyPurpose, string>>;
+
+  // Algorithm registry
+  export interface ParamReader {
+    has(key: string): boolean;
+    string(key: string): string;
+    number(key: string): number;
+  }
+
+  export interface AlgorithmDefinition<P extends object = Record<string, any>> {
+    /** 1-32 characters of [a-z0-9-] */
+    id: string;
+    deriveKey(input: Buffer, salt: Buffer, options: P & { keyLength?: number; signal?: AbortSignal }): Promise<Buffer>;
+    deriveKeySync?(input: Buffer, salt: Buffer, options: P & { keyLength?: number }): Buffer;
+    /** Parameters for new hashes from per-call overrides and config; omit for verify-only algorithms */
+    resolveParams?(overrides: Record<string, unknown>, config: HMaxConfig): P;
+    /** Short keys for the hash's parameter segment (l, h, s, pp and w are reserved) */
+    encodeParams(params: P): Record<string, string | number>;
+    decodeParams(read: ParamReader): P;
+    /** Throw on invalid parameters */
+    validate(params: P): void;
+    needsMigration(params: P, config: HMaxConfig): boolean;
+    /** deriveKey options; defaults to the decoded parameters plus keyLength */
+    options?(params: P & { keyLength?: number }, config: HMaxConfig): object;
+    /** Working memory in KiB, reserved from the scheduler budget */
+    memory?(options: object): number;
+    audit?(params: P, config: HMaxConfig): { issues?: string[]; warnings?: string[] };
+    /** Violations of config.verification.minimums, as readable strings */
+    minimums?(params: P, minimums: HMaxConfig['verification']['minimums']): string[];
+  }
+
+  export interface AlgorithmRegistry {
+    register(definition: AlgorithmDefinition<any>): string;
+    has(id: string): boolean;
+    get(id: string): AlgorithmDefinition;
+    list(): string[];
+    isBuiltin(id: string): boolean;
+  }
+
+  /** Registry of the default instance; each hasher has its own */
+  export const algorithms: AlgorithmRegistry;
+  export function registerAlgorithm<P extends object>(definition: AlgorithmDefinition<P>): string;
+
+  // Isolated instances
+  export interface HMaxHasher {
+    readonly config: ConfigManager;
+    readonly secretManager: SecretManager;
+    /** This hasher's registry: built-ins plus its own registerAlgorithm plugins */
+    readonly algorithms: AlgorithmRegistry;
+    /** Memory and concurrency budget, from this hasher's config.limits */
+    readonly scheduler: KdfScheduler;
+    initialize: typeof initialize;
+    createHash: typeof createHash;
+    createHashSync: typeof createHashSync;
+    verifyPassword: typeof verifyPassword;
+    verifyPasswordSync: typeof verifyPasswordSync;
+    verifyAgainstDummy: typeof verifyAgainstDummy;
+    extractMetadata: typeof extractMetadata;
+    toPHC: typeof toPHC;
+    fromPHC: typeof fromPHC;
+    migrateHashIfOutdated: typeof migrateHashIfOutdated;
+    generateSecret: typeof generateSecret;
+    generatePepper: typeof generatePepper;
+    rotateSecret: typeof rotateSecret;
+    rotatePepper: typeof rotatePepper;
+    deriveSubkey: typeof deriveSubkey;
+    encrypt: typeof encrypt;
+    decrypt: typeof decrypt;
+    reencrypt: typeof reencrypt;
+    issueToken: typeof issueToken;
+    verifyToken: typeof verifyToken;
+    setTokenStore: typeof setTokenStore;
+    checkPassword: typeof checkPassword;
+    setBreachChecker: typeof setBreachChecker;
+    createApiKey: typeof createApiKey;
+    hashApiKey: typeof hashApiKey;
+    verifyApiKey: typeof verifyApiKey;
+    parseApiKey: typeof parseApiKey;
+    resealHash: typeof resealHash;
+    wrapHash: typeof wrapHash;
+    registerAlgorithm: typeof registerAlgorithm;
+    auditHash: typeof auditHash;
+    getInfo: typeof getInfo;
+    close: typeof close;
+  }
+
+  export interface HasherOptions {
+    config?: Partial<HMaxConfig>;
+    secrets?: SecretsConfig;
+    /** Makes issued tokens single-use */
+    tokenStore?: TokenStore;
+    /** Rejects breached passwords in checkPassword and createHash */
+    breachChecker?: BreachSource;
+    /** Share another hasher's budget (and its limits) instead of building one from config.limits */
+    scheduler?: KdfScheduler;
+  }
+
+  export function createHasher(options?: HasherOptions): HMaxHasher;
 
   export default {
     initialize,
@@ -136,13 +660,34 @@ declare module 'hmax-secure' {
     createHashSync,
     verifyPassword,
     verifyPasswordSync,
+    verifyAgainstDummy,
     extractMetadata,
+    toPHC,
+    fromPHC,
     migrateHashIfOutdated,
     generateSecret,
     generatePepper,
     rotateSecret,
+    rotatePepper,
+    deriveSubkey,
+    encrypt,
+    decrypt,
+    reencrypt,
+    issueToken,
+    verifyToken,
+    setTokenStore,
+    checkPassword,
+    setBreachChecker,
+    createApiKey,
+    hashApiKey,
+    verifyApiKey,
+    parseApiKey,
+    resealHash,
+    wrapHash,
+    registerAlgorithm,
     auditHash,
     getInfo,
+    close,
     config,
     secretManager
   };
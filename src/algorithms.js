@@ -0,0 +1,304 @@
+/**
+ * HMAX-SECURE Algorithm Registry
+ * KDF definitions used for hashing, encoding, verification and auditing
+ */
+
+import argon2 from './argon2.js';
+import legacyArgon2 from './argon2-legacy.js';
+import pbkdf2 from './pbkdf2.js';
+import scrypt, { scryptMemory } from './scrypt.js';
+import { LEGACY_FORMATS } from './legacy.js';
+
+// Working memory of the format v2 scrypt stages: 128 * N * r * p, N = 16384, r = 8, p <= 2 (KiB)
+const LEGACY_SCRYPT_KIB = (128 * 16384 * 8) / 1024;
+
+const HASH_ALGORITHMS = ['sha256', 'sha384', 'sha512'];
+
+// Parameter keys the encoder writes itself: key length, HMAC algorithm, seal, pepper ID, wrapped layers, context binding
+const RESERVED_PARAM_KEYS = ['l', 'h', 's', 'pp', 'w', 'c', 'u'];
+
+const REQUIRED_HOOKS = ['deriveKey', 'encodeParams', 'decodeParams', 'validate', 'needsMigration'];
+const OPTIONAL_HOOKS = ['deriveKeySync', 'resolveParams', 'options', 'memory', 'audit', 'minimums'];
+
+/**
+ * Reader over a parsed `k=v,...` segment; each key can be taken once
+ */
+export function paramReader(values) {
+  const take = (key) => {
+    const raw = values.get(key);
+    if (raw === undefined) {
+      throw new Error(`Missing parameter: ${key}`);
+    }
+    values.delete(key);
+    return raw;
+  };
+
+  return {
+    has: (key) => values.has(key),
+    string: take,
+    number: (key) => {
+      const raw = take(key);
+      if (!/^\d+$/.test(raw)) {
+        throw new Error(`Invalid parameter: ${key}=${raw}`);
+      }
+      return parseInt(raw, 10);
+    }
+  };
+}
+
+export class AlgorithmRegistry {
+  /**
+   * `base`: registry whose algorithms this one starts with (e.g. the built-ins)
+   */
+  constructor(base = null) {
+    this.algorithms = new Map(base ? base.algorithms : []);
+    this.builtins = new Set(base ? base.builtins : []);
+  }
+
+  /**
+   * Register a KDF.
+   * Required: id, deriveKey(input, salt, options), encodeParams(params) -> { key: value },
+   * decodeParams(read) -> params, validate(params), needsMigration(params, config).
+   * Optional: deriveKeySync, resolveParams(overrides, config) (without it the algorithm
+   * only verifies), options(params, config), memory(options) in KiB,
+   * audit(params, config) -> { issues, warnings }, minimums(params, minimums) -> violations.
+   */
+  register(definition) {
+    const { id } = definition || {};
+
+    if (typeof id !== 'string' || !/^[a-z0-9][a-z0-9-]{0,31}$/.test(id)) {
+      throw new Error('Algorithm id must be 1-32 characters of [a-z0-9-]');
+    }
+    if (this.algorithms.has(id) || LEGACY_FORMATS.includes(id)) {
+      throw new Error(`Algorithm already registered: ${id}`);
+    }
+    for (const hook of REQUIRED_HOOKS) {
+      if (typeof definition[hook] !== 'function') {
+        throw new Error(`Algorithm ${id} must define ${hook}()`);
+      }
+    }
+    for (const hook of OPTIONAL_HOOKS) {
+      if (definition[hook] !== undefined && typeof definition[hook] !== 'function') {
+        throw new Error(`Algorithm ${id}: ${hook} must be a function`);
+      }
+    }
+
+    this.algorithms.set(id, Object.freeze({ ...definition }));
+    return id;
+  }
+
+  has(id) {
+    return this.algorithms.has(id);
+  }
+
+  get(id) {
+    const definition = this.algorithms.get(id);
+    if (!definition) {
+      throw new Error(`Unsupported algorithm: ${id}`);
+    }
+    return definition;
+  }
+
+  list() {
+    return [...this.algorithms.keys()];
+  }
+
+  /**
+   * Whether worker threads can run the algorithm: they only load the built-ins
+   */
+  isBuiltin(id) {
+    return this.builtins.has(id);
+  }
+
+  /**
+   * Algorithm parameters as `k=v` pairs, refusing keys the encoder owns
+   */
+  encodeParams(id, params) {
+    const encoded = this.get(id).encodeParams(params);
+    for (const key of Object.keys(encoded)) {
+      if (RESERVED_PARAM_KEYS.includes(key) || !/^[a-z]+$/.test(key)) {
+        throw new Error(`Algorithm ${id} cannot use parameter key: ${key}`);
+      }
+    }
+    return encoded;
+  }
+
+  /**
+   * Options passed to deriveKey for a hash's parameters. Without an options()
+   * hook these are the algorithm's own parameters plus the key length.
+   */
+  kdfOptions(id, params, cfg) {
+    const definition = this.get(id);
+    if (definition.options) {
+      return definition.options(params, cfg);
+    }
+
+    const values = new Map(
+      Object.entries(this.encodeParams(id, params)).map(([key, value]) => [key, String(value)])
+    );
+    return { ...definition.decodeParams(paramReader(values)), keyLength: params.keyLength };
+  }
+
+  /**
+   * Working memory (KiB) of a derivation, for the scheduler
+   */
+  memory(id, options) {
+    const definition = this.algorithms.get(id);
+    return definition && definition.memory ? definition.memory(options) : 0;
+  }
+
+  _registerBuiltin(definition) {
+    this.register(definition);
+    this.builtins.add(definition.id);
+  }
+}
+
+const argon2Validate = ({ memoryCost, timeCost, parallelism }) => {
+  if (timeCost < 1 || timeCost > 10) throw new Error('Invalid timeCost');
+  if (memoryCost < 4096 || memoryCost > 1048576) throw new Error('Invalid memoryCost');
+  if (parallelism < 1 || parallelism > 16) throw new Error('Invalid parallelism');
+};
+
+const argon2Minimums = (params, minimums) => ['memoryCost', 'timeCost', 'parallelism']
+  .filter((param) => params[param] < minimums.argon2[param])
+  .map((param) => `argon2 ${param} ${params[param]} < ${minimums.argon2[param]}`);
+
+const argon2Params = {
+  encodeParams: ({ memoryCost, timeCost, parallelism }) => ({ m: memoryCost, t: timeCost, p: parallelism }),
+  decodeParams: (read) => ({ memoryCost: read.number('m'), timeCost: read.number('t'), parallelism: read.number('p') }),
+  validate: argon2Validate,
+  minimums: argon2Minimums
+};
+
+const BUILTIN_ALGORITHMS = [
+  {
+    id: 'argon2id',
+    ...argon2Params,
+    deriveKey: (input, salt, options) => argon2.deriveKey(input, salt, options),
+    resolveParams: (overrides, cfg) => {
+      const {
+        memoryCost = cfg.argon2.memoryCost,
+        timeCost = cfg.argon2.timeCost,
+        parallelism = cfg.argon2.parallelism
+      } = overrides;
+      return { memoryCost, timeCost, parallelism };
+    },
+    memory: (options) => options.memoryCost,
+    needsMigration: (params, cfg) => (
+      params.timeCost < cfg.argon2.timeCost ||
+      params.memoryCost < cfg.argon2.memoryCost ||
+      params.parallelism < cfg.argon2.parallelism
+    ),
+    audit: (params, cfg) => {
+      const issues = [];
+      if (params.memoryCost < cfg.argon2.memoryCost) {
+        issues.push(`Insufficient memory cost: ${params.memoryCost}`);
+      }
+      if (params.timeCost < cfg.argon2.timeCost) {
+        issues.push(`Insufficient time cost: ${params.timeCost}`);
+      }
+      return { issues };
+    }
+  },
+  {
+    // Format v2 scrypt-based derivation, kept for verification only
+    id: 'argon2id-legacy',
+    ...argon2Params,
+    deriveKey: (input, salt, options) => legacyArgon2.deriveKey(input, salt, options),
+    memory: (options) => LEGACY_SCRYPT_KIB * Math.min(options.parallelism || 1, 2),
+    needsMigration: () => true,
+    audit: () => ({ issues: ['Legacy scrypt-based Argon2 hash (not RFC 9106 Argon2id)'] })
+  },
+  {
+    id: 'pbkdf2',
+    deriveKey: (input, salt, options) => pbkdf2.deriveKey(input, salt, options),
+    deriveKeySync: (input, salt, options) => pbkdf2.deriveKeySync(input, salt, options),
+    resolveParams: (overrides, cfg) => {
+      const {
+        iterations = cfg.pbkdf2.iterations,
+        digest = cfg.pbkdf2.digest
+      } = overrides;
+      return { iterations, digest };
+    },
+    encodeParams: ({ iterations, digest }) => ({ i: iterations, d: digest }),
+    decodeParams: (read) => ({ iterations: read.number('i'), digest: read.string('d') }),
+    validate: ({ iterations, digest }) => {
+      if (iterations < 1000 || iterations > 1000000) throw new Error('Invalid iterations');
+      if (!HASH_ALGORITHMS.includes(digest)) throw new Error('Invalid digest');
+    },
+    needsMigration: (params, cfg) => params.iterations < cfg.pbkdf2.iterations || params.digest !== cfg.pbkdf2.digest,
+    audit: (params, cfg) => {
+      const issues = [];
+      const warnings = [];
+      if (params.iterations < cfg.pbkdf2.iterations) {
+        issues.push(`Insufficient iterations: ${params.iterations}`);
+      }
+      if (params.digest !== cfg.pbkdf2.digest) {
+        warnings.push(`PBKDF2 digest differs from configuration: ${params.digest}`);
+      }
+      return { issues, warnings };
+    },
+    minimums: (params, minimums) => params.iterations < minimums.pbkdf2.iterations
+      ? [`pbkdf2 iterations ${params.iterations} < ${minimums.pbkdf2.iterations}`]
+      : []
+  },
+  {
+    id: 'scrypt',
+    deriveKey: (input, salt, options) => scrypt.deriveKey(input, salt, options),
+    deriveKeySync: (input, salt, options) => scrypt.deriveKeySync(input, salt, options),
+    resolveParams: (overrides, cfg) => {
+      const {
+        cost = cfg.scrypt.cost,
+        blockSize = cfg.scrypt.blockSize,
+        parallelization = cfg.scrypt.parallelization
+      } = overrides;
+      return { cost, blockSize, parallelization };
+    },
+    // maxmem is local policy, not a hash parameter
+    options: ({ cost, blockSize, parallelization, keyLength }, cfg) => (
+      { cost, blockSize, parallelization, keyLength, maxmem: cfg.scrypt.maxmem }
+    ),
+    memory: (options) => Math.ceil(scryptMemory(options.cost, options.blockSize, options.parallelization) / 1024),
+    encodeParams: ({ cost, blockSize, parallelization }) => ({ n: cost, r: blockSize, p: parallelization }),
+    decodeParams: (read) => ({ cost: read.number('n'), blockSize: read.number('r'), parallelization: read.number('p') }),
+    validate: ({ cost, blockSize, parallelization }) => {
+      if (!(cost >= 1024 && cost <= 4194304) || (cost & (cost - 1)) !== 0) throw new Error('Invalid scrypt cost');
+      if (blockSize < 1 || blockSize > 32) throw new Error('Invalid scrypt blockSize');
+      if (parallelization < 1 || parallelization > 16) throw new Error('Invalid scrypt parallelization');
+    },
+    needsMigration: (params, cfg) => (
+      params.cost < cfg.scrypt.cost ||
+      params.blockSize < cfg.scrypt.blockSize ||
+      params.parallelization < cfg.scrypt.parallelization
+    ),
+    audit: (params, cfg) => ({
+      issues: ['cost', 'blockSize', 'parallelization']
+        .filter((param) => params[param] < cfg.scrypt[param])
+        .map((param) => `Insufficient scrypt ${param}: ${params[param]}`)
+    }),
+    minimums: (params, minimums) => ['cost', 'blockSize']
+      .filter((param) => params[param] < minimums.scrypt[param])
+      .map((param) => `scrypt ${param} ${params[param]} < ${minimums.scrypt[param]}`)
+  },
+  {
+    // Format v1: the HMAC layer alone, kept for verification only
+    id: 'hmac-sha512',
+    deriveKey: async (input) => input,
+    deriveKeySync: (input) => input,
+    encodeParams: ({ iterations }) => ({ i: iterations }),
+    decodeParams: (read) => ({ iterations: read.number('i') }),
+    validate: ({ iterations }) => {
+      if (iterations < 1000 || iterations > 1000000) throw new Error('Invalid iterations');
+    },
+    needsMigration: () => true,
+    audit: () => ({ warnings: ['Using legacy HMAC-only algorithm'] })
+  }
+];
+
+const registry = new AlgorithmRegistry();
+for (const definition of BUILTIN_ALGORITHMS) {
+  registry._registerBuiltin(definition);
+}
+
+// Built-ins only: each hasher registers plugins in its own copy
+export default registry;
@@ -0,0 +1,112 @@
+/**
+ * HMAX-SECURE API Keys
+ * High-entropy keys hashed with one keyed HMAC instead of a slow KDF
+ */
+
+import { createHmac, randomBytes } from 'node:crypto';
+import secretManager from './secrets.js';
+import timing from './timing.js';
+import { deriveSubkey } from './keys.js';
+
+// Key layout: hmx_<environment>_<id>_<secret>; the ID is a non-secret lookup handle
+const KEY_PREFIX = 'hmx';
+const KEY_PATTERN = /^hmx_([a-z]{1,16})_([0-9a-f]{16})_([A-Za-z0-9_-]{43})$/;
+const ID_LENGTH = 8;
+const SECRET_LENGTH = 32;
+
+// Hash layout: hmaxkey$<version>$<keyId>$<id>$<hmac>
+const HASH_PREFIX = 'hmaxkey';
+const APIKEY_FORMAT_VERSION = 1;
+
+export class ApiKeyService {
+  constructor({ secretManager: secrets = secretManager } = {}) {
+    this.secretManager = secrets;
+  }
+
+  /**
+   * Generate a key and its hash. Show `key` to the user once; store `id` and `hash`.
+   */
+  createApiKey({ environment = 'live' } = {}) {
+    if (typeof environment !== 'string' || !/^[a-z]{1,16}$/.test(environment)) {
+      throw new Error('API key environment must be 1-16 characters of [a-z]');
+    }
+
+    const id = randomBytes(ID_LENGTH).toString('hex');
+    const key = [KEY_PREFIX, environment, id, randomBytes(SECRET_LENGTH).toString('base64url')].join('_');
+    return { key, id, environment, hash: this.hashApiKey(key) };
+  }
+
+  /**
+   * Lookup ID and environment of a key, without checking it
+   */
+  parseApiKey(key) {
+    const match = typeof key === 'string' ? KEY_PATTERN.exec(key) : null;
+    if (!match) {
+      throw new Error('Invalid API key format');
+    }
+    return { environment: match[1], id: match[2] };
+  }
+
+  /**
+   * Hash a key under the current secret
+   */
+  hashApiKey(key) {
+    const { id } = this.parseApiKey(key);
+    const keyId = this.secretManager.getCurrentSecretId();
+    return [
+      HASH_PREFIX,
+      APIKEY_FORMAT_VERSION.toString(),
+      keyId,
+      id,
+      this._mac(keyId, key).toString('base64')
+    ].join('$');
+  }
+
+  /**
+   * Check a presented key against its stored hash, under whichever registered
+   * secret the hash names. needsMigration: rehash with hashApiKey (secret rotated).
+   */
+  verifyApiKey(key, encodedHash) {
+    try {
+      const { id, environment } = this.parseApiKey(key);
+      const stored = this._decodeHash(encodedHash);
+
+      const verified = stored.id === id && timing.verifyHash(this._mac(stored.keyId, key), stored.mac);
+      const usedCurrentSecret = verified && stored.keyId === this.secretManager.getCurrentSecretId();
+
+      return {
+        verified,
+        id: verified ? id : null,
+        environment: verified ? environment : null,
+        needsMigration: verified && !usedCurrentSecret,
+        secretId: verified ? stored.keyId : null
+      };
+    } catch (error) {
+      return { verified: false, error: error.message, needsMigration: false };
+    }
+  }
+
+  _decodeHash(encodedHash) {
+    const parts = typeof encodedHash === 'string' ? encodedHash.split('$') : [];
+    if (parts.length !== 5 || parts[0] !== HASH_PREFIX) {
+      throw new Error('Invalid API key hash format');
+    }
+    if (parts[1] !== String(APIKEY_FORMAT_VERSION)) {
+      throw new Error(`Unsupported API key hash version: ${parts[1]}`);
+    }
+    return { keyId: parts[2], id: parts[3], mac: Buffer.from(parts[4], 'base64') };
+  }
+
+  /**
+   * HMAC-SHA512 of the whole key under the `apikey` subkey of a secret
+   */
+  _mac(keyId, key) {
+    const secret = this.secretManager.getSecretById(keyId);
+    if (!secret) {
+      throw new Error(`Unknown secret key ID: ${keyId}`);
+    }
+    return createHmac('sha512', deriveSubkey(secret, 'apikey')).update(key).digest();
+  }
+}
+
+export default new ApiKeyService();
@@ -1,128 +1,353 @@
 /**
  * HMAX-SECURE Argon2 Implementation
- * Memory-hard key derivation function (preferred)
+ * RFC 9106 Argon2id memory-hard key derivation function (preferred)
  */
 
-import { randomBytes, scrypt } from "node:crypto";
-import { promisify } from "node:util";
 import config from "./config.js";
+import { blake2b } from "./blake2b.js";
 
-const scryptAsync = promisify(scrypt);
+const ARGON2_VERSION = 0x13;
+const ARGON2_TYPE_ID = 2; // Argon2id
+const SYNC_POINTS = 4;
+const BLOCK_WORDS = 256; // 1 KiB block as 32-bit words
+const ADDRESSES_IN_BLOCK = 128;
+const YIELD_BLOCKS = 512; // ~10 ms of filling between event-loop turns
+
+// Scratch blocks for the compression function G
+const blockR = new Uint32Array(BLOCK_WORDS);
+const blockTmp = new Uint32Array(BLOCK_WORDS);
+
+// 32-bit word offsets of the 16 words permuted by each row/column round of G
+const ROUNDS = [];
+for (let i = 0; i < 8; i++) {
+  ROUNDS.push(Array.from({ length: 16 }, (_, j) => (16 * i + j) * 2));
+}
+for (let i = 0; i < 8; i++) {
+  ROUNDS.push(Array.from({ length: 16 }, (_, j) => (2 * i + (j & 1) + 16 * (j >> 1)) * 2));
+}
+
+/**
+ * Little-endian 32-bit encoding
+ */
+function le32(value) {
+  const out = Buffer.alloc(4);
+  out.writeUInt32LE(value >>> 0);
+  return out;
+}
+
+/**
+ * High 32 bits of the 64-bit product of two unsigned 32-bit integers
+ */
+function mulHigh(a, b) {
+  const aL = a & 0xffff;
+  const aH = a >>> 16;
+  const bL = b & 0xffff;
+  const bH = b >>> 16;
+  const lh = aL * bH;
+  const hl = aH * bL;
+  const mid = ((aL * bL) >>> 16) + (lh & 0xffff) + (hl & 0xffff);
+  return aH * bH + (lh >>> 16) + (hl >>> 16) + (mid >>> 16);
+}
+
+/**
+ * v[a] = v[a] + v[b] + 2 * lo32(v[a]) * lo32(v[b])  (mod 2^64)
+ */
+function fBlaMka(v, a, b) {
+  const al = v[a];
+  const bl = v[b];
+
+  let productLo = Math.imul(al, bl) >>> 0;
+  let productHi = mulHigh(al, bl);
+  productHi = ((productHi << 1) | (productLo >>> 31)) >>> 0;
+  productLo = (productLo << 1) >>> 0;
+
+  const lo = al + bl + productLo;
+  v[a + 1] = v[a + 1] + v[b + 1] + productHi + Math.floor(lo / 0x100000000);
+  v[a] = lo;
+}
+
+/**
+ * Argon2 variant of the BLAKE2b G function (multiplication-hardened)
+ */
+function mix(v, a, b, c, d) {
+  let xor0;
+  let xor1;
+
+  fBlaMka(v, a, b);
+  xor0 = v[d] ^ v[a];
+  xor1 = v[d + 1] ^ v[a + 1];
+  v[d] = xor1;
+  v[d + 1] = xor0;
+
+  fBlaMka(v, c, d);
+  xor0 = v[b] ^ v[c];
+  xor1 = v[b + 1] ^ v[c + 1];
+  v[b] = (xor0 >>> 24) ^ (xor1 << 8);
+  v[b + 1] = (xor1 >>> 24) ^ (xor0 << 8);
+
+  fBlaMka(v, a, b);
+  xor0 = v[d] ^ v[a];
+  xor1 = v[d + 1] ^ v[a + 1];
+  v[d] = (xor0 >>> 16) ^ (xor1 << 16);
+  v[d + 1] = (xor1 >>> 16) ^ (xor0 << 16);
+
+  fBlaMka(v, c, d);
+  xor0 = v[b] ^ v[c];
+  xor1 = v[b + 1] ^ v[c + 1];
+  v[b] = (xor1 >>> 31) ^ (xor0 << 1);
+  v[b + 1] = (xor0 >>> 31) ^ (xor1 << 1);
+}
+
+/**
+ * Compression function G: out = P(x ^ y) ^ x ^ y (^ out when withXor)
+ */
+function fillBlock(x, xOffset, y, yOffset, out, outOffset, withXor) {
+  for (let i = 0; i < BLOCK_WORDS; i++) {
+    blockR[i] = x[xOffset + i] ^ y[yOffset + i];
+    blockTmp[i] = withXor ? blockR[i] ^ out[outOffset + i] : blockR[i];
+  }
+
+  for (const w of ROUNDS) {
+    mix(blockR, w[0], w[4], w[8], w[12]);
+    mix(blockR, w[1], w[5], w[9], w[13]);
+    mix(blockR, w[2], w[6], w[10], w[14]);
+    mix(blockR, w[3], w[7], w[11], w[15]);
+    mix(blockR, w[0], w[5], w[10], w[15]);
+    mix(blockR, w[1], w[6], w[11], w[12]);
+    mix(blockR, w[2], w[7], w[8], w[13]);
+    mix(blockR, w[3], w[4], w[9], w[14]);
+  }
+
+  for (let i = 0; i < BLOCK_WORDS; i++) {
+    out[outOffset + i] = blockTmp[i] ^ blockR[i];
+  }
+}
+
+/**
+ * Variable-length hash function H' (RFC 9106 section 3.3)
+ */
+function hashPrime(outLength, chunks) {
+  const input = [le32(outLength), ...chunks];
+  if (outLength <= 64) {
+    return blake2b(input, outLength);
+  }
+
+  const out = Buffer.alloc(outLength);
+  const r = Math.ceil(outLength / 32) - 2;
+  let v = blake2b(input, 64);
+  v.copy(out, 0, 0, 32);
+
+  for (let i = 1; i < r; i++) {
+    v = blake2b(v, 64);
+    v.copy(out, i * 32, 0, 32);
+  }
+
+  blake2b(v, outLength - 32 * r).copy(out, r * 32);
+  return out;
+}
+
+export class Argon2KDF {
+  constructor(cfg = config) {
+    this.config = cfg;
+  }
 
-class Argon2KDF {
   async deriveKey(password, salt, options = {}) {
-    const cfg = config.getConfig();
+    const cfg = this.config.getConfig();
 
     const {
       memoryCost = cfg.argon2.memoryCost,
       timeCost = cfg.argon2.timeCost,
       parallelism = cfg.argon2.parallelism,
-      keyLength = 64
+      keyLength = 64,
+      secret = null,
+      associatedData = null,
+      signal = null
     } = options;
 
     this._validateParams(memoryCost, timeCost, parallelism, keyLength);
 
-    return this._argon2idLikeDerivation(password, salt, {
+    const run = this._argon2id(password, salt, {
       memoryCost,
       timeCost,
       parallelism,
-      keyLength
+      keyLength,
+      secret,
+      associatedData
     });
+
+    // Yield to the event loop every few hundred blocks so long derivations don't stall I/O,
+    // and stop early (freeing the memory) once the caller gives up
+    let step = run.next();
+    while (!step.done) {
+      await new Promise((resolve) => setImmediate(resolve));
+      if (signal && signal.aborted) {
+        throw signal.reason;
+      }
+      step = run.next();
+    }
+
+    return step.value;
   }
 
-  async _argon2idLikeDerivation(password, salt, options) {
+  /**
+   * Argon2id core, yielding every YIELD_BLOCKS blocks and after every slice (RFC 9106 section 3)
+   */
+  *_argon2id(password, salt, options) {
     const { memoryCost, timeCost, parallelism, keyLength } = options;
+    const secret = options.secret || Buffer.alloc(0);
+    const associatedData = options.associatedData || Buffer.alloc(0);
 
-    let derivedKey = await this._memoryHardPhase(
-      password,
-      salt,
-      memoryCost,
-      parallelism
-    );
-
-    for (let i = 0; i < timeCost; i++) {
-      derivedKey = await this._compressionPhase(
-        derivedKey,
-        salt,
-        memoryCost,
-        parallelism
-      );
+    const h0 = blake2b([
+      le32(parallelism),
+      le32(keyLength),
+      le32(memoryCost),
+      le32(timeCost),
+      le32(ARGON2_VERSION),
+      le32(ARGON2_TYPE_ID),
+      le32(password.length), password,
+      le32(salt.length), salt,
+      le32(secret.length), secret,
+      le32(associatedData.length), associatedData
+    ], 64);
+
+    const segmentLength = Math.floor(memoryCost / (SYNC_POINTS * parallelism));
+    const laneLength = segmentLength * SYNC_POINTS;
+    const state = {
+      lanes: parallelism,
+      passes: timeCost,
+      memoryBlocks: laneLength * parallelism,
+      laneLength,
+      segmentLength,
+      memory: new Uint32Array(laneLength * parallelism * BLOCK_WORDS)
+    };
+
+    // First two blocks of each lane come straight from H0
+    for (let lane = 0; lane < parallelism; lane++) {
+      for (let column = 0; column < 2; column++) {
+        const block = hashPrime(1024, [h0, le32(column), le32(lane)]);
+        const offset = (lane * laneLength + column) * BLOCK_WORDS;
+        for (let i = 0; i < BLOCK_WORDS; i++) {
+          state.memory[offset + i] = block.readUInt32LE(i * 4);
+        }
+      }
     }
 
-    return this._finalDerivation(derivedKey, salt, keyLength);
-  }
+    for (let pass = 0; pass < timeCost; pass++) {
+      for (let slice = 0; slice < SYNC_POINTS; slice++) {
+        for (let lane = 0; lane < parallelism; lane++) {
+          yield* this._fillSegment(state, pass, lane, slice);
+        }
+        yield;
+      }
+    }
+
+    // XOR the last column of every lane and hash it down to the tag
+    const final = new Uint32Array(BLOCK_WORDS);
+    for (let lane = 0; lane < parallelism; lane++) {
+      const offset = (lane * laneLength + laneLength - 1) * BLOCK_WORDS;
+      for (let i = 0; i < BLOCK_WORDS; i++) {
+        final[i] ^= state.memory[offset + i];
+      }
+    }
 
-  async _memoryHardPhase(password, salt, memoryCost, parallelism) {
-    const blockSize = 1024;
-    const totalBlocks = Math.floor(memoryCost / blockSize);
-
-    const memory = [];
-
-    for (let i = 0; i < totalBlocks; i++) {
-      const blockSalt = Buffer.concat([salt, Buffer.from([i & 0xff])]);
-      const block = await scryptAsync(password, blockSalt, blockSize, {
-        N: 16384,
-        r: 8,
-        p: 1,
-        maxmem: 128 * 1024 * 1024
-      });
-      memory.push(block);
+    const finalBytes = Buffer.alloc(1024);
+    for (let i = 0; i < BLOCK_WORDS; i++) {
+      finalBytes.writeUInt32LE(final[i], i * 4);
     }
 
-    return this._mixMemoryBlocks(memory, parallelism);
+    state.memory.fill(0);
+    return hashPrime(keyLength, [finalBytes]);
   }
 
-  async _mixMemoryBlocks(memory, parallelism) {
-    const mixedBlocks = [];
-    const segmentSize = Math.floor(memory.length / parallelism);
+  /**
+   * Fill one segment of one lane, yielding every YIELD_BLOCKS blocks
+   */
+  *_fillSegment(state, pass, lane, slice) {
+    const { memory, lanes, passes, memoryBlocks, laneLength, segmentLength } = state;
 
-    for (let segment = 0; segment < parallelism; segment++) {
-      const start = segment * segmentSize;
-      const end = start + segmentSize;
-      const segmentBlocks = memory.slice(start, end);
+    // Argon2id: data-independent addressing for the first half of the first pass
+    const dataIndependent = pass === 0 && slice < SYNC_POINTS / 2;
+    const zero = new Uint32Array(BLOCK_WORDS);
+    const input = new Uint32Array(BLOCK_WORDS);
+    const address = new Uint32Array(BLOCK_WORDS);
 
-      let mixedBlock = Buffer.alloc(segmentBlocks[0].length);
-      for (const block of segmentBlocks) {
-        for (let i = 0; i < mixedBlock.length; i++) {
-          mixedBlock[i] ^= block[i];
-        }
-      }
-      mixedBlocks.push(mixedBlock);
+    const nextAddresses = () => {
+      input[12]++;
+      fillBlock(zero, 0, input, 0, address, 0, false);
+      fillBlock(zero, 0, address, 0, address, 0, false);
+    };
+
+    if (dataIndependent) {
+      input[0] = pass;
+      input[2] = lane;
+      input[4] = slice;
+      input[6] = memoryBlocks;
+      input[8] = passes;
+      input[10] = ARGON2_TYPE_ID;
     }
 
-    let finalBlock = Buffer.alloc(mixedBlocks[0].length);
-    for (const block of mixedBlocks) {
-      for (let i = 0; i < finalBlock.length; i++) {
-        finalBlock[i] ^= block[i];
+    let startIndex = 0;
+    if (pass === 0 && slice === 0) {
+      startIndex = 2;
+      if (dataIndependent) {
+        nextAddresses();
       }
     }
 
-    return finalBlock;
-  }
+    let current = lane * laneLength + slice * segmentLength + startIndex;
+    let previous = current % laneLength === 0 ? current + laneLength - 1 : current - 1;
 
-  async _compressionPhase(input, salt, memoryCost, parallelism) {
-  // Scrypt CANNOT use full memoryCost as N, so clamp it safely.
-  const safeN = Math.pow(2, 14); // 16384 → standard safe level
-  
-  // Keep parallelism low; scrypt cannot handle high parallel p-values
-  const safeP = Math.min(parallelism, 2);
-
-  return scryptAsync(input, salt, input.length, {
-    N: safeN,
-    r: 8,
-    p: safeP,
-    maxmem: 128 * 1024 * 1024 // 128MB global limit
-  });
-}
+    for (let index = startIndex; index < segmentLength; index++, current++, previous++) {
+      if (current % laneLength === 1) {
+        previous = current - 1;
+      }
 
+      let j1;
+      let j2;
+      if (dataIndependent) {
+        if (index % ADDRESSES_IN_BLOCK === 0) {
+          nextAddresses();
+        }
+        j1 = address[(index % ADDRESSES_IN_BLOCK) * 2];
+        j2 = address[(index % ADDRESSES_IN_BLOCK) * 2 + 1];
+      } else {
+        j1 = memory[previous * BLOCK_WORDS];
+        j2 = memory[previous * BLOCK_WORDS + 1];
+      }
 
-  async _finalDerivation(input, salt, keyLength) {
-    return scryptAsync(input, salt, keyLength, {
-      N: 16384,
-      r: 8,
-      p: 1,
-      maxmem: 128 * 1024 * 1024
-    });
+      const refLane = pass === 0 && slice === 0 ? lane : j2 % lanes;
+      const sameLane = refLane === lane;
+
+      let areaSize;
+      if (pass === 0) {
+        if (slice === 0) {
+          areaSize = index - 1;
+        } else if (sameLane) {
+          areaSize = slice * segmentLength + index - 1;
+        } else {
+          areaSize = slice * segmentLength + (index === 0 ? -1 : 0);
+        }
+      } else if (sameLane) {
+        areaSize = laneLength - segmentLength + index - 1;
+      } else {
+        areaSize = laneLength - segmentLength + (index === 0 ? -1 : 0);
+      }
+
+      const relative = areaSize - 1 - mulHigh(areaSize, mulHigh(j1, j1));
+      const start = pass === 0 || slice === SYNC_POINTS - 1 ? 0 : (slice + 1) * segmentLength;
+      const reference = refLane * laneLength + ((start + relative) % laneLength);
+
+      fillBlock(
+        memory, previous * BLOCK_WORDS,
+        memory, reference * BLOCK_WORDS,
+        memory, current * BLOCK_WORDS,
+        pass !== 0
+      );
+
+      if ((index + 1) % YIELD_BLOCKS === 0) {
+        yield;
+      }
+    }
   }
 
   _validateParams(memoryCost, timeCost, parallelism, keyLength) {
@@ -138,6 +363,10 @@ class Argon2KDF {
       throw new Error("Parallelism must be between 1 and 16");
     }
 
+    if (memoryCost < 8 * parallelism) {
+      throw new Error("Memory cost must be at least 8 KiB per lane");
+    }
+
     if (keyLength < 16 || keyLength > 128) {
       throw new Error("Key length must be between 16 and 128 bytes");
     }
@@ -0,0 +1,201 @@
+/**
+ * HMAX-SECURE BLAKE2b Implementation
+ * RFC 7693 hash with variable output length (used by Argon2id)
+ */
+
+// Initialization vector as little-endian 32-bit word pairs
+const IV = new Uint32Array([
+  0xf3bcc908, 0x6a09e667, 0x84caa73b, 0xbb67ae85,
+  0xfe94f82b, 0x3c6ef372, 0x5f1d36f1, 0xa54ff53a,
+  0xade682d1, 0x510e527f, 0x2b3e6c1f, 0x9b05688c,
+  0xfb41bd6b, 0x1f83d9ab, 0x137e2179, 0x5be0cd19
+]);
+
+// Message word schedule, pre-multiplied by 2 for 32-bit word indexing
+const SIGMA = [
+  [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15],
+  [14, 10, 4, 8, 9, 15, 13, 6, 1, 12, 0, 2, 11, 7, 5, 3],
+  [11, 8, 12, 0, 5, 2, 15, 13, 10, 14, 3, 6, 7, 1, 9, 4],
+  [7, 9, 3, 1, 13, 12, 11, 14, 2, 6, 5, 10, 4, 0, 15, 8],
+  [9, 0, 5, 7, 2, 4, 10, 15, 14, 1, 11, 12, 6, 8, 3, 13],
+  [2, 12, 6, 10, 0, 11, 8, 3, 4, 13, 7, 5, 15, 14, 1, 9],
+  [12, 5, 1, 15, 14, 13, 4, 10, 0, 7, 6, 3, 9, 2, 8, 11],
+  [13, 11, 7, 14, 12, 1, 3, 9, 5, 0, 15, 4, 8, 6, 2, 10],
+  [6, 15, 14, 9, 11, 3, 0, 8, 12, 2, 13, 7, 1, 4, 10, 5],
+  [10, 2, 8, 4, 7, 6, 1, 5, 15, 11, 9, 14, 3, 12, 13, 0],
+  [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15],
+  [14, 10, 4, 8, 9, 15, 13, 6, 1, 12, 0, 2, 11, 7, 5, 3]
+].map(row => row.map(index => index * 2));
+
+/**
+ * Add the 64-bit word at b into the 64-bit word at a
+ */
+function add64(v, a, b) {
+  const lo = v[a] + v[b];
+  v[a + 1] = v[a + 1] + v[b + 1] + (lo >= 0x100000000 ? 1 : 0);
+  v[a] = lo;
+}
+
+/**
+ * Add a 64-bit constant (lo, hi) into the 64-bit word at a
+ */
+function add64c(v, a, lo, hi) {
+  const sum = v[a] + lo;
+  v[a + 1] = v[a + 1] + hi + (sum >= 0x100000000 ? 1 : 0);
+  v[a] = sum;
+}
+
+/**
+ * BLAKE2b mixing function G
+ */
+function mix(v, m, a, b, c, d, x, y) {
+  let xor0;
+  let xor1;
+
+  add64(v, a, b);
+  add64c(v, a, m[x], m[x + 1]);
+
+  // d = rotr64(d ^ a, 32)
+  xor0 = v[d] ^ v[a];
+  xor1 = v[d + 1] ^ v[a + 1];
+  v[d] = xor1;
+  v[d + 1] = xor0;
+
+  add64(v, c, d);
+
+  // b = rotr64(b ^ c, 24)
+  xor0 = v[b] ^ v[c];
+  xor1 = v[b + 1] ^ v[c + 1];
+  v[b] = (xor0 >>> 24) ^ (xor1 << 8);
+  v[b + 1] = (xor1 >>> 24) ^ (xor0 << 8);
+
+  add64(v, a, b);
+  add64c(v, a, m[y], m[y + 1]);
+
+  // d = rotr64(d ^ a, 16)
+  xor0 = v[d] ^ v[a];
+  xor1 = v[d + 1] ^ v[a + 1];
+  v[d] = (xor0 >>> 16) ^ (xor1 << 16);
+  v[d + 1] = (xor1 >>> 16) ^ (xor0 << 16);
+
+  add64(v, c, d);
+
+  // b = rotr64(b ^ c, 63)
+  xor0 = v[b] ^ v[c];
+  xor1 = v[b + 1] ^ v[c + 1];
+  v[b] = (xor1 >>> 31) ^ (xor0 << 1);
+  v[b + 1] = (xor0 >>> 31) ^ (xor1 << 1);
+}
+
+class Blake2b {
+  constructor(outLength = 64, key = null) {
+    if (!Number.isInteger(outLength) || outLength < 1 || outLength > 64) {
+      throw new Error('BLAKE2b output length must be between 1 and 64 bytes');
+    }
+
+    if (key && key.length > 64) {
+      throw new Error('BLAKE2b key must be at most 64 bytes');
+    }
+
+    this.outLength = outLength;
+    this.h = new Uint32Array(IV);
+    this.v = new Uint32Array(32);
+    this.m = new Uint32Array(32);
+    this.buffer = new Uint8Array(128);
+    this.bufferLength = 0;
+    this.counter = 0;
+
+    // Parameter block: digest length, key length, fanout = 1, depth = 1
+    this.h[0] ^= 0x01010000 ^ ((key ? key.length : 0) << 8) ^ outLength;
+
+    if (key && key.length > 0) {
+      this.update(key);
+      this.bufferLength = 128;
+    }
+  }
+
+  /**
+   * Absorb more input
+   */
+  update(data) {
+    for (let i = 0; i < data.length; i++) {
+      if (this.bufferLength === 128) {
+        this.counter += 128;
+        this._compress(false);
+        this.bufferLength = 0;
+      }
+      this.buffer[this.bufferLength++] = data[i];
+    }
+    return this;
+  }
+
+  /**
+   * Finalize and return the digest
+   */
+  digest() {
+    this.counter += this.bufferLength;
+    this.buffer.fill(0, this.bufferLength);
+    this._compress(true);
+
+    const out = Buffer.alloc(this.outLength);
+    for (let i = 0; i < this.outLength; i++) {
+      out[i] = this.h[i >> 2] >>> (8 * (i & 3));
+    }
+    return out;
+  }
+
+  /**
+   * Compression function F
+   */
+  _compress(last) {
+    const { v, m, h, buffer } = this;
+
+    for (let i = 0; i < 16; i++) {
+      v[i] = h[i];
+      v[i + 16] = IV[i];
+    }
+
+    // 128-bit byte counter (high bits stay zero for inputs < 2^53 bytes)
+    v[24] ^= this.counter >>> 0;
+    v[25] ^= Math.floor(this.counter / 0x100000000);
+
+    if (last) {
+      v[28] = ~v[28];
+      v[29] = ~v[29];
+    }
+
+    for (let i = 0; i < 32; i++) {
+      m[i] = buffer[i * 4] ^ (buffer[i * 4 + 1] << 8) ^
+        (buffer[i * 4 + 2] << 16) ^ (buffer[i * 4 + 3] << 24);
+    }
+
+    for (let round = 0; round < 12; round++) {
+      const s = SIGMA[round];
+      mix(v, m, 0, 8, 16, 24, s[0], s[1]);
+      mix(v, m, 2, 10, 18, 26, s[2], s[3]);
+      mix(v, m, 4, 12, 20, 28, s[4], s[5]);
+      mix(v, m, 6, 14, 22, 30, s[6], s[7]);
+      mix(v, m, 0, 10, 20, 30, s[8], s[9]);
+      mix(v, m, 2, 12, 22, 24, s[10], s[11]);
+      mix(v, m, 4, 14, 16, 26, s[12], s[13]);
+      mix(v, m, 6, 8, 18, 28, s[14], s[15]);
+    }
+
+    for (let i = 0; i < 16; i++) {
+      h[i] ^= v[i] ^ v[i + 16];
+    }
+  }
+}
+
+/**
+ * One-shot BLAKE2b over one or more input chunks
+ */
+export function blake2b(chunks, outLength = 64, key = null) {
+  const hasher = new Blake2b(outLength, key);
+  for (const chunk of Array.isArray(chunks) ? chunks : [chunks]) {
+    hasher.update(chunk);
+  }
+  return hasher.digest();
+}
+
+export default Blake2b;
@@ -0,0 +1,270 @@
+/**
+ * HMAX-SECURE Breached Password Check
+ * Offline lookups against a Have I Been Pwned SHA-1 corpus or a Bloom filter built from one
+ */
+
+import { createHash } from 'node:crypto';
+import { createReadStream, readdirSync, readFileSync, statSync, writeFileSync } from 'node:fs';
+import { join } from 'node:path';
+import { createInterface } from 'node:readline';
+
+// Filter file layout: magic (8) | version (u32) | hashes (u32) | bits (u64) | entries (u64) | bit array
+const FILTER_MAGIC = Buffer.from('HMXBLOOM');
+const FILTER_VERSION = 1;
+const FILTER_HEADER_LENGTH = 32;
+
+const SHA1_HEX_LENGTH = 40;
+const RANGE_PREFIX_LENGTH = 5;
+const RANGE_FILE_PATTERN = /^([0-9A-Fa-f]{5})(\.txt)?$/;
+
+/**
+ * SHA-1 of the password's UTF-8 bytes, as Have I Been Pwned indexes it
+ */
+function sha1(password) {
+  if (typeof password !== 'string' && !(password instanceof Uint8Array)) {
+    throw new Error('Password must be a string or Uint8Array');
+  }
+  return createHash('sha1').update(password).digest();
+}
+
+/**
+ * Parse a `HASH[:COUNT]` line; null for blank or malformed lines
+ */
+function parseLine(line, prefix = '') {
+  const [hashPart, countPart] = line.trim().split(':');
+  const hex = prefix + (hashPart || '');
+  if (hex.length !== SHA1_HEX_LENGTH || !/^[0-9A-Fa-f]+$/.test(hex)) {
+    return null;
+  }
+  const count = countPart === undefined ? 1 : parseInt(countPart, 10);
+  return { hash: Buffer.from(hex, 'hex'), count: Number.isInteger(count) && count > 0 ? count : 1 };
+}
+
+/**
+ * Bit positions of a hash: double hashing (Kirsch-Mitzenmacher) over two
+ * 53-bit words of the SHA-1, which is already uniform
+ */
+function filterPositions(hash, hashes, bits) {
+  const first = (hash.readUInt32BE(0) * 2 ** 21 + (hash.readUInt32BE(4) >>> 11)) % bits;
+  const step = (hash.readUInt32BE(8) * 2 ** 21 + (hash.readUInt32BE(12) >>> 11)) % bits || 1;
+  const positions = [];
+  for (let i = 0; i < hashes; i++) {
+    positions.push((first + i * step) % bits);
+  }
+  return positions;
+}
+
+/**
+ * Stream every hash of a text dump or range directory to `callback`
+ */
+async function forEachEntry(input, callback) {
+  const files = statSync(input).isDirectory()
+    ? readdirSync(input).sort()
+      .map((name) => RANGE_FILE_PATTERN.exec(name))
+      .filter(Boolean)
+      .map((match) => ({ path: join(input, match[0]), prefix: match[1] }))
+    : [{ path: input, prefix: '' }];
+
+  for (const { path, prefix } of files) {
+    const lines = createInterface({ input: createReadStream(path), crlfDelay: Infinity });
+    for await (const line of lines) {
+      const entry = parseLine(line, prefix);
+      if (entry) {
+        callback(entry.hash);
+      }
+    }
+  }
+}
+
+/**
+ * Directory of range files (`ABCDE` or `ABCDE.txt`, lines `SUFFIX:COUNT`),
+ * as written by the Have I Been Pwned downloader; one small file read per lookup
+ */
+class RangeDirectorySource {
+  constructor(directory) {
+    this.directory = directory;
+    this.size = null;
+    this.exact = true;
+  }
+
+  count(hash) {
+    const hex = hash.toString('hex').toUpperCase();
+    const prefix = hex.slice(0, RANGE_PREFIX_LENGTH);
+
+    let content = null;
+    for (const name of [prefix, `${prefix}.txt`, prefix.toLowerCase(), `${prefix.toLowerCase()}.txt`]) {
+      try {
+        content = readFileSync(join(this.directory, name), 'utf8');
+        break;
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          throw error;
+        }
+      }
+    }
+    if (content === null) {
+      return 0;
+    }
+
+    const suffix = hex.slice(RANGE_PREFIX_LENGTH);
+    for (const line of content.split('\n')) {
+      const [lineSuffix, countPart] = line.trim().split(':');
+      if (lineSuffix && lineSuffix.toUpperCase() === suffix) {
+        return parseInt(countPart, 10) || 1;
+      }
+    }
+    return 0;
+  }
+}
+
+/**
+ * Whole `HASH:COUNT` dump held in memory, sorted for binary search.
+ * Fine for curated lists; compile the full corpus to a filter instead.
+ */
+class DumpSource {
+  constructor(text) {
+    const entries = text.split('\n').map((line) => parseLine(line)).filter(Boolean);
+    entries.sort((a, b) => Buffer.compare(a.hash, b.hash));
+
+    this.hashes = Buffer.concat(entries.map((entry) => entry.hash));
+    this.counts = Uint32Array.from(entries, (entry) => Math.min(entry.count, 0xffffffff));
+    this.size = entries.length;
+    this.exact = true;
+  }
+
+  count(hash) {
+    let low = 0;
+    let high = this.size - 1;
+    while (low <= high) {
+      const middle = (low + high) >>> 1;
+      const offset = middle * 20;
+      const order = Buffer.compare(this.hashes.subarray(offset, offset + 20), hash);
+      if (order === 0) {
+        return this.counts[middle];
+      }
+      if (order < 0) {
+        low = middle + 1;
+      } else {
+        high = middle - 1;
+      }
+    }
+    return 0;
+  }
+}
+
+/**
+ * Compiled Bloom filter: membership only, with false positives at the
+ * rate it was built for and no false negatives
+ */
+class BloomFilterSource {
+  constructor(buffer) {
+    if (buffer.length < FILTER_HEADER_LENGTH || !buffer.subarray(0, FILTER_MAGIC.length).equals(FILTER_MAGIC)) {
+      throw new Error('Not an HMAX breach filter');
+    }
+    const version = buffer.readUInt32BE(8);
+    if (version !== FILTER_VERSION) {
+      throw new Error(`Unsupported breach filter version: ${version}`);
+    }
+
+    this.hashes = buffer.readUInt32BE(12);
+    this.bits = Number(buffer.readBigUInt64BE(16));
+    this.size = Number(buffer.readBigUInt64BE(24));
+    this.filter = buffer.subarray(FILTER_HEADER_LENGTH);
+    this.exact = false;
+
+    if (this.hashes < 1 || this.bits < 1 || this.filter.length !== Math.ceil(this.bits / 8)) {
+      throw new Error('Corrupt breach filter');
+    }
+  }
+
+  count(hash) {
+    const present = filterPositions(hash, this.hashes, this.bits)
+      .every((position) => this.filter[Math.floor(position / 8)] & (1 << (position % 8)));
+    return present ? 1 : 0;
+  }
+}
+
+export class BreachChecker {
+  constructor(source) {
+    this.source = source;
+  }
+
+  /**
+   * Load a corpus: a range directory, a compiled filter, or a `HASH:COUNT` text dump
+   */
+  static load(path) {
+    if (statSync(path).isDirectory()) {
+      return new BreachChecker(new RangeDirectorySource(path));
+    }
+
+    const buffer = readFileSync(path);
+    if (buffer.subarray(0, FILTER_MAGIC.length).equals(FILTER_MAGIC)) {
+      return new BreachChecker(new BloomFilterSource(buffer));
+    }
+    return new BreachChecker(new DumpSource(buffer.toString('utf8')));
+  }
+
+  /**
+   * Compile a text dump or range directory into a Bloom filter file.
+   * Reads the input twice (count, then fill) so memory stays at the filter size.
+   */
+  static async buildFilter(input, output, { falsePositiveRate = 0.001 } = {}) {
+    if (!(falsePositiveRate > 0 && falsePositiveRate < 1)) {
+      throw new Error('falsePositiveRate must be between 0 and 1');
+    }
+
+    let entries = 0;
+    await forEachEntry(input, () => {
+      entries++;
+    });
+
+    // Optimal size and hash count for `entries` at the requested rate
+    const bits = Math.max(8, Math.ceil(-entries * Math.log(falsePositiveRate) / Math.LN2 ** 2));
+    const hashes = Math.min(32, Math.max(1, Math.round(bits / Math.max(entries, 1) * Math.LN2)));
+
+    const file = Buffer.alloc(FILTER_HEADER_LENGTH + Math.ceil(bits / 8));
+    FILTER_MAGIC.copy(file, 0);
+    file.writeUInt32BE(FILTER_VERSION, 8);
+    file.writeUInt32BE(hashes, 12);
+    file.writeBigUInt64BE(BigInt(bits), 16);
+    file.writeBigUInt64BE(BigInt(entries), 24);
+
+    const filter = file.subarray(FILTER_HEADER_LENGTH);
+    await forEachEntry(input, (hash) => {
+      for (const position of filterPositions(hash, hashes, bits)) {
+        filter[Math.floor(position / 8)] |= 1 << (position % 8);
+      }
+    });
+
+    writeFileSync(output, file);
+    return { entries, bits, hashes, bytes: file.length, falsePositiveRate };
+  }
+
+  /**
+   * Whether the password is in the corpus (filters: or a false positive)
+   */
+  isBreached(password) {
+    return this.count(password) > 0;
+  }
+
+  /**
+   * Times the password was seen in breaches; filters only know 1 or 0
+   */
+  count(password) {
+    return this.source.count(sha1(password));
+  }
+
+  /**
+   * Hashes in the corpus, or null for a range directory (not scanned)
+   */
+  get size() {
+    return this.source.size;
+  }
+
+  /**
+   * Whether answers are exact (dumps) or may be false positives (filters)
+   */
+  get exact() {
+    return this.source.exact;
+  }
+}
@@ -4,20 +4,24 @@
  */
 
 import { randomBytes } from 'node:crypto';
+import { cpus } from 'node:os';
+import { LEGACY_FORMATS } from './legacy.js';
+import { NORMALIZATION_MODES } from './normalize.js';
 
 // Default security configuration (NIST/FIPS compliant)
 const DEFAULT_CONFIG = Object.freeze({
   // Core security parameters
   saltLength: 32, // 256-bit salt
   hmacAlgorithm: 'sha512',
+  algorithm: 'argon2id', // KDF for new hashes, and the cost a dummy verification imitates
+  passwordNormalization: 'opaque', // PRECIS OpaqueString; 'nfc', 'nfkc' or 'none'. Recorded per hash
   
   // Argon2id parameters (OWASP recommended)
   argon2: {
     memoryCost: 65536, // 64MB
     timeCost: 3,
     parallelism: 4,
-    version: 0x13, // Argon2id v1.3
-    associatedData: null
+    version: 0x13 // Argon2id v1.3
   },
   
   // PBKDF2 fallback parameters
@@ -25,11 +29,20 @@ const DEFAULT_CONFIG = Object.freeze({
     iterations: 210000, // OWASP 2023 recommendation
     digest: 'sha512'
   },
+
+  // scrypt parameters (OWASP: N=2^17, r=8, p=1, 128MB)
+  scrypt: {
+    cost: 131072, // N, a power of two
+    blockSize: 8, // r
+    parallelization: 1, // p
+    maxmem: 268435456 // Refuse derivations needing more than 256MB, in bytes
+  },
   
   // Secret management
   secrets: {
     enablePepper: true,
     enableRotation: true,
+    enableSeal: true, // Apply the master secret as a re-keyable AES-256-GCM outer layer
     maxPreviousSecrets: 3,
     currentSecret: null, // Must be set by application
     previousSecrets: []
@@ -39,11 +52,87 @@ const DEFAULT_CONFIG = Object.freeze({
   encoding: {
     saltEncoding: 'base64',
     hashEncoding: 'base64',
-    formatVersion: 2
+    formatVersion: 6,
+    integrityTag: true // Append a keyed MAC over the encoded string (v6+)
+  },
+
+  // Password policy for new hashes (NIST SP 800-63B: length and blocklists over composition rules)
+  policy: {
+    enabled: true,
+    minLength: 8, // Unicode code points
+    maxLength: 1024,
+    minBytes: 1, // UTF-8
+    maxBytes: 4096,
+    requireLowercase: false,
+    requireUppercase: false,
+    requireDigit: false,
+    requireSymbol: false,
+    minCharacterClasses: 0, // Of lowercase, uppercase, digits and symbols
+    bannedWords: [], // Case-insensitive substrings, e.g. the product name
+    contextWords: true, // Reject passwords containing the username or email
+    maxRepeated: 0, // Longest run of one character, e.g. 3 rejects 'aaaa'; 0 = no limit
+    maxSequential: 0, // Longest run like 'abcd' or '4321'; 0 = no limit
+    rejectBreached: true // Reject passwords the breach checker knows, when one is set
+  },
+
+  // Signed tokens (password reset, email verification)
+  tokens: {
+    ttl: 3600, // Default lifetime in seconds
+    maxTtl: 604800 // 7 days
+  },
+
+  // Off-main-thread derivation (opt-in)
+  workers: {
+    enabled: false,
+    size: Math.max(1, Math.min(cpus().length - 1, 8)), // Leave a core for the event loop
+    maxQueue: 100 // Pending derivations before rejecting as overloaded
+  },
+
+  // Derivation budget of the hasher using this configuration
+  limits: {
+    maxMemory: 524288, // 512MB of KDF working memory in flight, in KiB
+    maxConcurrent: 16,
+    maxWaiting: 1000, // Calls waiting for budget before failing fast; 0 = never wait
+    timeout: 0 // Per-call timeout in ms; 0 = none
+  },
+
+  // Verification policy
+  verification: {
+    // Foreign hash formats verifyPassword recognizes (and migrates on login).
+    // Opt-in while migrating: list only the formats your old rows use.
+    legacyFormats: [],
+
+    // PHC strings without `hmax=` skip the secret layer: anyone who can write a
+    // hash row could then log in, so accept them only while importing
+    enablePlainPHC: false,
+
+    // Stored hashes below these floors are refused before their own derivation
+    minimums: {
+      saltLength: 16,
+      pbkdf2: {
+        iterations: 10000
+      },
+      scrypt: {
+        cost: 1024,
+        blockSize: 1
+      },
+      argon2: {
+        memoryCost: 4096,
+        timeCost: 1,
+        parallelism: 1
+      },
+      // Legacy formats; Django and Werkzeug PBKDF2 use pbkdf2.iterations
+      bcrypt: {
+        cost: 10
+      },
+      shaCrypt: {
+        rounds: 5000
+      }
+    }
   }
 });
 
-class HMaxConfig {
+export class HMaxConfig {
   constructor() {
     this._config = { ...DEFAULT_CONFIG };
     this._validators = this._setupValidators();
@@ -56,6 +145,8 @@ class HMaxConfig {
     return {
       saltLength: (value) => value >= 16 && value <= 64,
       hmacAlgorithm: (value) => ['sha256', 'sha384', 'sha512'].includes(value),
+      passwordNormalization: (value) => NORMALIZATION_MODES.includes(value),
+      algorithm: (value) => typeof value === 'string' && value.length > 0,
       argon2: {
         memoryCost: (value) => value >= 4096 && value <= 1048576,
         timeCost: (value) => value >= 1 && value <= 10,
@@ -64,7 +155,33 @@ class HMaxConfig {
       pbkdf2: {
         iterations: (value) => value >= 10000 && value <= 1000000,
         digest: (value) => ['sha256', 'sha384', 'sha512'].includes(value)
-      }
+      },
+      scrypt: {
+        cost: (value) => Number.isInteger(value) && value >= 1024 && value <= 4194304 && (value & (value - 1)) === 0,
+        blockSize: (value) => Number.isInteger(value) && value >= 1 && value <= 32,
+        parallelization: (value) => Number.isInteger(value) && value >= 1 && value <= 16,
+        maxmem: (value) => Number.isInteger(value) && value > 0
+      },
+      policy: {
+        length: (value) => Number.isInteger(value) && value >= 1,
+        minCharacterClasses: (value) => Number.isInteger(value) && value >= 0 && value <= 4,
+        run: (value) => Number.isInteger(value) && value >= 0
+      },
+      tokens: {
+        ttl: (value) => Number.isInteger(value) && value >= 1,
+        maxTtl: (value) => Number.isInteger(value) && value >= 1 && value <= 31536000
+      },
+      workers: {
+        size: (value) => Number.isInteger(value) && value >= 1 && value <= 64,
+        maxQueue: (value) => Number.isInteger(value) && value >= 0 && value <= 100000
+      },
+      limits: {
+        maxMemory: (value) => Number.isInteger(value) && value >= 4096,
+        maxConcurrent: (value) => Number.isInteger(value) && value >= 1 && value <= 1024,
+        maxWaiting: (value) => Number.isInteger(value) && value >= 0,
+        timeout: (value) => Number.isInteger(value) && value >= 0
+      },
+      minimum: (value) => Number.isInteger(value) && value >= 1
     };
   }
 
@@ -123,6 +240,14 @@ class HMaxConfig {
       throw new Error('Invalid HMAC algorithm');
     }
 
+    if (!this._validators.algorithm(config.algorithm)) {
+      throw new Error('algorithm must be a registered algorithm ID');
+    }
+
+    if (!this._validators.passwordNormalization(config.passwordNormalization)) {
+      throw new Error(`passwordNormalization must be one of: ${NORMALIZATION_MODES.join(', ')}`);
+    }
+
     // Validate Argon2 parameters
     const { argon2 } = config;
     if (!this._validators.argon2.memoryCost(argon2.memoryCost)) {
@@ -144,10 +269,108 @@ class HMaxConfig {
       throw new Error('Invalid PBKDF2 digest algorithm');
     }
 
-    // Validate secrets configuration
-    if (config.secrets.enablePepper && !config.secrets.currentSecret) {
-      throw new Error('Current secret must be set when pepper is enabled');
+    // Validate scrypt parameters
+    const { scrypt } = config;
+    if (!this._validators.scrypt.cost(scrypt.cost)) {
+      throw new Error('scrypt cost must be a power of two between 1024 and 4194304');
+    }
+    if (!this._validators.scrypt.blockSize(scrypt.blockSize)) {
+      throw new Error('scrypt blockSize must be an integer between 1 and 32');
+    }
+    if (!this._validators.scrypt.parallelization(scrypt.parallelization)) {
+      throw new Error('scrypt parallelization must be an integer between 1 and 16');
+    }
+    if (!this._validators.scrypt.maxmem(scrypt.maxmem)) {
+      throw new Error('scrypt maxmem must be a positive integer (bytes)');
+    }
+    if (128 * scrypt.blockSize * (scrypt.cost + scrypt.parallelization + 2) > scrypt.maxmem) {
+      throw new Error('scrypt maxmem is too small for the configured cost, blockSize and parallelization');
+    }
+
+    // Validate password policy
+    const { policy } = config;
+    for (const name of ['minLength', 'maxLength', 'minBytes', 'maxBytes']) {
+      if (!this._validators.policy.length(policy[name])) {
+        throw new Error(`policy.${name} must be a positive integer`);
+      }
+    }
+    if (policy.minLength > policy.maxLength || policy.minBytes > policy.maxBytes) {
+      throw new Error('policy minimum lengths must not exceed the maximums');
+    }
+    if (!this._validators.policy.minCharacterClasses(policy.minCharacterClasses)) {
+      throw new Error('policy.minCharacterClasses must be an integer between 0 and 4');
+    }
+    for (const name of ['maxRepeated', 'maxSequential']) {
+      if (!this._validators.policy.run(policy[name])) {
+        throw new Error(`policy.${name} must be a non-negative integer`);
+      }
+    }
+    if (!Array.isArray(policy.bannedWords) || !policy.bannedWords.every(word => typeof word === 'string')) {
+      throw new Error('policy.bannedWords must be an array of strings');
+    }
+
+    // Validate token lifetimes
+    const { tokens } = config;
+    if (!this._validators.tokens.maxTtl(tokens.maxTtl)) {
+      throw new Error('tokens.maxTtl must be an integer between 1 and 31536000 seconds');
+    }
+    if (!this._validators.tokens.ttl(tokens.ttl) || tokens.ttl > tokens.maxTtl) {
+      throw new Error('tokens.ttl must be an integer between 1 and tokens.maxTtl seconds');
+    }
+
+    // Validate worker pool parameters
+    const { workers } = config;
+    if (!this._validators.workers.size(workers.size)) {
+      throw new Error('Worker pool size must be an integer between 1 and 64');
+    }
+    if (!this._validators.workers.maxQueue(workers.maxQueue)) {
+      throw new Error('Worker pool maxQueue must be an integer between 0 and 100000');
+    }
+
+    // Validate derivation budget
+    const { limits } = config;
+    if (!this._validators.limits.maxMemory(limits.maxMemory)) {
+      throw new Error('limits.maxMemory must be an integer of at least 4096 KiB');
+    }
+    if (!this._validators.limits.maxConcurrent(limits.maxConcurrent)) {
+      throw new Error('limits.maxConcurrent must be an integer between 1 and 1024');
+    }
+    if (!this._validators.limits.maxWaiting(limits.maxWaiting)) {
+      throw new Error('limits.maxWaiting must be a non-negative integer');
+    }
+    if (!this._validators.limits.timeout(limits.timeout)) {
+      throw new Error('limits.timeout must be a non-negative integer (ms)');
+    }
+
+    const { legacyFormats } = config.verification;
+    if (!Array.isArray(legacyFormats) || !legacyFormats.every(format => LEGACY_FORMATS.includes(format))) {
+      throw new Error(`verification.legacyFormats must be an array of: ${LEGACY_FORMATS.join(', ')}`);
+    }
+    if (typeof config.verification.enablePlainPHC !== 'boolean') {
+      throw new Error('verification.enablePlainPHC must be a boolean');
+    }
+
+    // Validate verification minimums
+    const { minimums } = config.verification;
+    const floors = {
+      saltLength: minimums.saltLength,
+      'pbkdf2.iterations': minimums.pbkdf2.iterations,
+      'scrypt.cost': minimums.scrypt.cost,
+      'scrypt.blockSize': minimums.scrypt.blockSize,
+      'argon2.memoryCost': minimums.argon2.memoryCost,
+      'argon2.timeCost': minimums.argon2.timeCost,
+      'argon2.parallelism': minimums.argon2.parallelism,
+      'bcrypt.cost': minimums.bcrypt.cost,
+      'shaCrypt.rounds': minimums.shaCrypt.rounds
+    };
+    for (const [name, value] of Object.entries(floors)) {
+      if (!this._validators.minimum(value)) {
+        throw new Error(`verification.minimums.${name} must be a positive integer`);
+      }
     }
+
+    // Secrets themselves live in the SecretManager, not in configuration;
+    // a pepper without a current secret is refused when secrets are applied
   }
 
   /**
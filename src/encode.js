@@ -3,16 +3,96 @@
  * Versioned, extensible hash format
  */
 
+import { createHmac } from 'node:crypto';
 import config from './config.js';
+import seal from './seal.js';
+import secretManager from './secrets.js';
+import timing from './timing.js';
+import { deriveSubkey } from './keys.js';
+import { NORMALIZATION_MODES } from './normalize.js';
+import { IntegrityError, InvalidHashError } from './errors.js';
+import algorithms, { paramReader } from './algorithms.js';
+import { LEGACY_FORMATS, detectLegacyFormat, decodeLegacyHash } from './legacy.js';
+
+// First format version whose "argon2id" hashes use RFC 9106 Argon2id.
+// Earlier versions used a scrypt-based construction, now "argon2id-legacy".
+const ARGON2ID_FORMAT_VERSION = 3;
+
+// First format version that records the ID of the sealing secret
+const KEY_ID_FORMAT_VERSION = 4;
+
+// First format version that stores every derivation input as a `k=v,...` segment
+const PARAMS_FORMAT_VERSION = 5;
+
+// First format version whose HMAC and seal layers are keyed with HKDF subkeys
+// of the master secret instead of the secret itself
+const SUBKEY_FORMAT_VERSION = 6;
+
+// Bytes of HMAC-SHA512 kept in the optional trailing integrity tag segment
+const INTEGRITY_TAG_LENGTH = 32;
+
+// Short names of the parameters every algorithm shares; the algorithm's
+// own parameters (m, t, p, i, d, ...) come from the algorithm registry
+const PARAM_NAMES = {
+  keyLength: 'l',
+  hmacAlgorithm: 'h',
+  seal: 's',
+  pepperId: 'pp',
+  wrapped: 'w',
+  contextBinding: 'c',
+  normalization: 'u'
+};
+
+// Parameters any algorithm may carry, encoded only when set
+const OPTIONAL_PARAMS = ['seal', 'pepperId', 'wrapped', 'contextBinding', 'normalization'];
+
+// Value of `c` on hashes whose HMAC layer mixes in a caller-supplied context
+export const CONTEXT_BINDING = '1';
+
+const HASH_ALGORITHMS = ['sha256', 'sha384', 'sha512'];
+
+// Argon2 version written to and accepted from PHC strings (v=19, 0x13)
+const PHC_ARGON2_VERSION = 19;
+
+// HMAX inputs carried as extra PHC parameters; a PHC string without `hmax=`
+// is a plain hash from another stack (no secret layer, no seal)
+const PHC_HMAX_PARAMS = {
+  keyId: 'keyid',
+  hmacAlgorithm: 'hmac',
+  seal: 'seal',
+  pepperId: 'pepper',
+  wrapped: 'wrap',
+  contextBinding: 'ctx',
+  normalization: 'norm'
+};
+
+export class HMaxEncoder {
+  constructor(cfg = config, registry = algorithms, secrets = secretManager) {
+    this.config = cfg;
+    this.algorithms = registry;
+    this.secretManager = secrets;
+  }
 
-class HMaxEncoder {
   /**
    * Encode hash to HMAX format string
    */
   encodeHash(metadata) {
+    metadata = this._withVersion(metadata);
+    const encoded = this._encodeFields(metadata);
+    if (this._writesIntegrityTag(metadata)) {
+      return `${encoded}$${this._encodeComponent(this._integrityTag(metadata.keyId, encoded))}`;
+    }
+    return encoded;
+  }
+
+  /**
+   * Every segment of the hmax$ form except the integrity tag
+   */
+  _encodeFields(metadata) {
     const {
-      version = 2,
+      version,
       algorithm = 'argon2id',
+      keyId,
       salt,
       iterations,
       hash,
@@ -23,15 +103,18 @@ class HMaxEncoder {
 
     this._validateMetadata(metadata);
 
-    const parts = [
-      'hmax',
-      version.toString(),
-      algorithm,
-      this._encodeComponent(salt)
-    ];
+    const parts = ['hmax', version.toString(), algorithm];
+
+    if (version >= KEY_ID_FORMAT_VERSION) {
+      parts.push(keyId);
+    }
+
+    parts.push(this._encodeComponent(salt));
 
     // Add algorithm-specific parameters
-    if (algorithm === 'argon2id') {
+    if (version >= PARAMS_FORMAT_VERSION) {
+      parts.push(this._encodeParams(metadata));
+    } else if (algorithm === 'argon2id' || algorithm === 'argon2id-legacy') {
       parts.push(timeCost.toString());
       parts.push(memoryCost.toString());
       parts.push(parallelism.toString());
@@ -45,13 +128,25 @@ class HMaxEncoder {
   }
 
   /**
-   * Decode HMAX format string to metadata
+   * Decode HMAX format string (or PHC / enabled legacy format) to metadata
    */
   decodeHash(encodedString) {
     if (typeof encodedString !== 'string') {
       throw new Error('Encoded string must be a string');
     }
 
+    const legacyFormat = detectLegacyFormat(encodedString);
+    if (legacyFormat) {
+      if (!this.config.getConfig().verification.legacyFormats.includes(legacyFormat)) {
+        throw new InvalidHashError(`Legacy hash format not enabled: ${legacyFormat} (add it to verification.legacyFormats while migrating)`);
+      }
+      return decodeLegacyHash(encodedString);
+    }
+
+    if (encodedString.startsWith('$')) {
+      return this.decodePHC(encodedString);
+    }
+
     const parts = encodedString.split('$');
     
     if (parts.length < 6) {
@@ -63,37 +158,288 @@ class HMaxEncoder {
     }
 
     const version = parseInt(parts[1], 10);
-    const algorithm = parts[2];
-    const salt = this._decodeComponent(parts[3]);
+    let algorithm = parts[2];
+
+    if (algorithm === 'argon2id' && version < ARGON2ID_FORMAT_VERSION) {
+      algorithm = 'argon2id-legacy';
+    }
+
+    // Hashes from before v4 carry no key ID and are verified by trial
+    let offset = 3;
+    let keyId = null;
+    if (version >= KEY_ID_FORMAT_VERSION) {
+      keyId = parts[offset++];
+      if (!keyId) {
+        throw new Error('Invalid HMAX format: missing key ID');
+      }
+    }
+
+    const salt = this._decodeComponent(parts[offset++]);
 
     let metadata = {
       version,
       algorithm,
+      keyId,
       salt
     };
 
     // Parse algorithm-specific parameters
-    if (algorithm === 'argon2id') {
-      if (parts.length !== 8) {
+    if (version >= PARAMS_FORMAT_VERSION) {
+      if (!this.algorithms.has(algorithm)) {
+        throw new Error(`Unsupported algorithm: ${algorithm}`);
+      }
+      // v6+ hashes may end with an integrity tag over all other segments
+      const tagged = version >= SUBKEY_FORMAT_VERSION && parts.length === offset + 3;
+      if (parts.length !== offset + 2 && !tagged) {
+        throw new Error('Invalid HMAX format: expected parameters and hash');
+      }
+      if (tagged) {
+        metadata.integrity = this._checkIntegrityTag(keyId, parts.slice(0, -1).join('$'), parts[offset + 2]);
+      } else if (this._requiresIntegrityTag(metadata)) {
+        throw new IntegrityError('Hash integrity tag missing: hash string was tampered with');
+      }
+      Object.assign(metadata, this._decodeParams(algorithm, parts[offset]));
+      metadata.hash = this._decodeComponent(parts[offset + 1]);
+      return metadata;
+    }
+
+    if (algorithm === 'argon2id' || algorithm === 'argon2id-legacy') {
+      if (parts.length !== offset + 4) {
         throw new Error('Invalid Argon2id format');
       }
-      metadata.timeCost = parseInt(parts[4], 10);
-      metadata.memoryCost = parseInt(parts[5], 10);
-      metadata.parallelism = parseInt(parts[6], 10);
-      metadata.hash = this._decodeComponent(parts[7]);
+      metadata.timeCost = parseInt(parts[offset], 10);
+      metadata.memoryCost = parseInt(parts[offset + 1], 10);
+      metadata.parallelism = parseInt(parts[offset + 2], 10);
+      metadata.hash = this._decodeComponent(parts[offset + 3]);
     } else if (algorithm === 'pbkdf2' || algorithm === 'hmac-sha512') {
-      if (parts.length !== 6) {
+      if (parts.length !== offset + 2) {
         throw new Error('Invalid PBKDF2/HMAC format');
       }
-      metadata.iterations = parseInt(parts[4], 10);
-      metadata.hash = this._decodeComponent(parts[5]);
+      metadata.iterations = parseInt(parts[offset], 10);
+      metadata.hash = this._decodeComponent(parts[offset + 1]);
     } else {
       throw new Error(`Unsupported algorithm: ${algorithm}`);
     }
 
+    // Pre-v5 hashes were always derived with the configured digests and a
+    // key as long as the stored hash
+    const cfg = this.config.getConfig();
+    metadata.hmacAlgorithm = cfg.hmacAlgorithm;
+    if (algorithm !== 'hmac-sha512') {
+      metadata.keyLength = metadata.hash.length;
+    }
+    if (algorithm === 'pbkdf2') {
+      metadata.digest = cfg.pbkdf2.digest;
+    }
+
+    return metadata;
+  }
+
+  /**
+   * Encode hash in PHC string format:
+   * $argon2id$v=19$m=...,t=...,p=...$salt$hash, $scrypt$ln=...,r=...,p=...$salt$hash
+   * or $pbkdf2-<digest>$i=...$salt$hash (unpadded base64). HMAX hashes add hmax, keyid, hmac, seal and pepper parameters,
+   * and v6 hashes the integrity tag of their hmax$ form as `tag=`.
+   */
+  encodePHC(metadata) {
+    metadata = metadata.plain ? metadata : this._withVersion(metadata);
+    const { algorithm, salt, hash } = metadata;
+    let id;
+    const params = [];
+
+    if (algorithm === 'argon2id') {
+      id = `argon2id$v=${PHC_ARGON2_VERSION}`;
+      params.push(`m=${metadata.memoryCost}`, `t=${metadata.timeCost}`, `p=${metadata.parallelism}`);
+    } else if (algorithm === 'pbkdf2') {
+      id = `pbkdf2-${metadata.digest}`;
+      params.push(`i=${metadata.iterations}`);
+    } else if (algorithm === 'scrypt') {
+      id = 'scrypt';
+      params.push(`ln=${Math.log2(metadata.cost)}`, `r=${metadata.blockSize}`, `p=${metadata.parallelization}`);
+    } else {
+      throw new Error(`Algorithm ${algorithm} has no PHC representation`);
+    }
+
+    if (!metadata.plain) {
+      if (metadata.version < PARAMS_FORMAT_VERSION) {
+        throw new Error(`Format v${metadata.version} hashes cannot be exported to PHC; migrate them first`);
+      }
+      this._validateMetadata(metadata);
+
+      params.push(`hmax=${metadata.version}`);
+      for (const [name, key] of Object.entries(PHC_HMAX_PARAMS)) {
+        if (metadata[name]) {
+          params.push(`${key}=${metadata[name]}`);
+        }
+      }
+      if (this._writesIntegrityTag(metadata)) {
+        params.push(`tag=${this._encodePHCComponent(this._integrityTag(metadata.keyId, this._encodeFields(metadata)))}`);
+      }
+    }
+
+    return `$${id}$${params.join(',')}$${this._encodePHCComponent(salt)}$${this._encodePHCComponent(hash)}`;
+  }
+
+  /**
+   * Decode a PHC string, either one written by encodePHC or a plain
+   * argon2id / scrypt / pbkdf2 hash from another stack
+   */
+  decodePHC(phcString) {
+    const parts = phcString.split('$');
+    let algorithm;
+    let digest;
+    let offset;
+
+    if (parts[1] === 'argon2id') {
+      if (parts[2] !== `v=${PHC_ARGON2_VERSION}`) {
+        throw new Error(`Unsupported Argon2 version: ${parts[2]}`);
+      }
+      algorithm = 'argon2id';
+      offset = 3;
+    } else if (parts[1] === 'scrypt') {
+      algorithm = 'scrypt';
+      offset = 2;
+    } else if (/^pbkdf2-sha(256|384|512)$/.test(parts[1] || '')) {
+      algorithm = 'pbkdf2';
+      digest = parts[1].slice('pbkdf2-'.length);
+      offset = 2;
+    } else {
+      throw new Error(`Unsupported PHC algorithm: ${parts[1]}`);
+    }
+
+    if (parts.length !== offset + 3) {
+      throw new Error('Invalid PHC format: expected parameters, salt and hash');
+    }
+
+    const values = new Map();
+    for (const pair of parts[offset].split(',')) {
+      const [key, value] = pair.split('=');
+      if (!key || value === undefined || values.has(key)) {
+        throw new Error(`Invalid parameter: ${pair}`);
+      }
+      values.set(key, value);
+    }
+
+    const take = (key) => {
+      const value = values.get(key);
+      values.delete(key);
+      return value;
+    };
+    const takeNumber = (key) => {
+      const raw = take(key);
+      if (raw === undefined || !/^\d+$/.test(raw)) {
+        throw new Error(`Invalid or missing parameter: ${key}`);
+      }
+      return parseInt(raw, 10);
+    };
+
+    const metadata = { algorithm };
+    if (algorithm === 'argon2id') {
+      metadata.memoryCost = takeNumber('m');
+      metadata.timeCost = takeNumber('t');
+      metadata.parallelism = takeNumber('p');
+    } else if (algorithm === 'scrypt') {
+      const ln = takeNumber('ln');
+      if (ln < 10 || ln > 22) {
+        throw new Error('Invalid scrypt ln');
+      }
+      metadata.cost = 2 ** ln;
+      metadata.blockSize = takeNumber('r');
+      metadata.parallelization = takeNumber('p');
+    } else {
+      metadata.iterations = takeNumber('i');
+      metadata.digest = digest;
+    }
+
+    const version = take('hmax');
+    const tag = take('tag');
+    if (version === undefined) {
+      if (!this.config.getConfig().verification.enablePlainPHC) {
+        throw new InvalidHashError('Plain PHC hashes (no hmax= secret layer) are not accepted: set verification.enablePlainPHC to import them');
+      }
+      metadata.plain = true;
+    } else {
+      if (version !== String(PARAMS_FORMAT_VERSION) && version !== String(SUBKEY_FORMAT_VERSION)) {
+        throw new Error(`Unsupported HMAX version in PHC string: ${version}`);
+      }
+      metadata.version = parseInt(version, 10);
+      metadata.keyId = null;
+      for (const [name, key] of Object.entries(PHC_HMAX_PARAMS)) {
+        const value = take(key);
+        if (value !== undefined) {
+          metadata[name] = value;
+        }
+      }
+    }
+
+    if (values.size > 0) {
+      throw new Error(`Unknown parameter: ${values.keys().next().value}`);
+    }
+
+    metadata.salt = this._decodeComponent(parts[offset + 1]);
+    metadata.hash = this._decodeComponent(parts[offset + 2]);
+    metadata.keyLength = metadata.hash.length - (metadata.seal ? seal.getOverhead() : 0);
+    metadata.format = 'phc';
+
+    this._validateMetadata(metadata);
+
+    // The tag covers the hmax$ form of the same hash
+    if (tag !== undefined && this.supportsIntegrityTag(metadata)) {
+      metadata.integrity = this._checkIntegrityTag(metadata.keyId, this._encodeFields(metadata), tag);
+    } else if (tag !== undefined) {
+      throw new Error('Unknown parameter: tag');
+    } else if (this._requiresIntegrityTag(metadata)) {
+      throw new IntegrityError('Hash integrity tag missing: PHC string was tampered with');
+    }
     return metadata;
   }
 
+  /**
+   * Describe a hash as an inner layer of a wrapped (onion) hash: every
+   * derivation input, but not its output, as base64url JSON
+   */
+  encodeWrapped(metadata) {
+    const { hash, salt, integrity, ...layer } = metadata;
+    return Buffer.from(JSON.stringify({ ...layer, salt: this._encodeComponent(salt) })).toString('base64url');
+  }
+
+  /**
+   * Decode an inner layer description written by encodeWrapped
+   */
+  decodeWrapped(wrapped) {
+    let layer;
+    try {
+      layer = JSON.parse(Buffer.from(wrapped, 'base64url').toString('utf8'));
+    } catch {
+      throw new Error('Invalid wrapped layer');
+    }
+    if (!layer || typeof layer.algorithm !== 'string' || typeof layer.salt !== 'string') {
+      throw new Error('Invalid wrapped layer');
+    }
+    if (layer.format === 'legacy') {
+      // No legacyFormats opt-in needed: the outer layer authenticates `w=`
+      if (!LEGACY_FORMATS.includes(layer.algorithm)) {
+        throw new Error('Invalid wrapped layer');
+      }
+    } else if (!this.getSupportedAlgorithms().includes(layer.algorithm)) {
+      throw new Error('Invalid wrapped layer');
+    }
+    return { ...layer, salt: this._decodeComponent(layer.salt) };
+  }
+
+  /**
+   * Number of derivation layers in a hash (1 unless wrapped)
+   */
+  countLayers(encodedString) {
+    let layers = 1;
+    let metadata = this.decodeHash(encodedString);
+    while (metadata.wrapped) {
+      metadata = this.decodeWrapped(metadata.wrapped);
+      layers++;
+    }
+    return layers;
+  }
+
   /**
    * Extract metadata without verification
    */
@@ -118,28 +464,77 @@ class HMaxEncoder {
    * Check if hash needs migration
    */
   needsMigration(encodedString, currentConfig = null) {
-    const config = currentConfig || config.getConfig();
+    const cfg = currentConfig || this.config.getConfig();
     const metadata = this.decodeHash(encodedString);
 
+    // Imported hashes lack the secret layer until rehashed
+    if (metadata.plain) {
+      return true;
+    }
+
     // Check version
-    if (metadata.version < config.encoding.formatVersion) {
+    if (metadata.version < cfg.encoding.formatVersion) {
+      return true;
+    }
+
+    // Unsealed hashes can't be moved to a new secret offline
+    if (cfg.secrets.enableSeal && !metadata.seal) {
       return true;
     }
 
-    // Check algorithm-specific parameters
-    if (metadata.algorithm === 'argon2id') {
-      const { argon2 } = config;
-      return (
-        metadata.timeCost < argon2.timeCost ||
-        metadata.memoryCost < argon2.memoryCost ||
-        metadata.parallelism < argon2.parallelism
-      );
-    } else if (metadata.algorithm === 'pbkdf2') {
-      const { pbkdf2 } = config;
-      return metadata.iterations < pbkdf2.iterations;
+    // Check algorithm-specific parameters (legacy algorithms always migrate)
+    return Boolean(this.algorithms.get(metadata.algorithm).needsMigration(metadata, cfg));
+  }
+
+  /**
+   * Encode algorithm parameters as `k=v,...`
+   */
+  _encodeParams(metadata) {
+    const params = { ...this.algorithms.encodeParams(metadata.algorithm, metadata) };
+
+    // Key length is absent only for algorithms without a KDF (format v1 HMAC)
+    if (metadata.keyLength !== undefined) {
+      params[PARAM_NAMES.keyLength] = metadata.keyLength;
+    }
+    params[PARAM_NAMES.hmacAlgorithm] = metadata.hmacAlgorithm;
+    for (const name of OPTIONAL_PARAMS.filter((optional) => metadata[optional])) {
+      params[PARAM_NAMES[name]] = metadata[name];
+    }
+
+    return Object.entries(params).map(([key, value]) => `${key}=${value}`).join(',');
+  }
+
+  /**
+   * Decode a `k=v,...` parameter segment, requiring every parameter of the algorithm
+   */
+  _decodeParams(algorithm, segment) {
+    const values = new Map();
+    for (const pair of segment.split(',')) {
+      const [key, value] = pair.split('=');
+      if (!key || value === undefined || values.has(key)) {
+        throw new Error(`Invalid parameter: ${pair}`);
+      }
+      values.set(key, value);
+    }
+
+    const read = paramReader(values);
+    const params = { ...this.algorithms.get(algorithm).decodeParams(read) };
+
+    if (read.has(PARAM_NAMES.keyLength)) {
+      params.keyLength = read.number(PARAM_NAMES.keyLength);
+    }
+    params.hmacAlgorithm = read.string(PARAM_NAMES.hmacAlgorithm);
+    for (const name of OPTIONAL_PARAMS) {
+      if (read.has(PARAM_NAMES[name])) {
+        params[name] = read.string(PARAM_NAMES[name]);
+      }
     }
 
-    return false;
+    if (values.size > 0) {
+      throw new Error(`Unknown parameter: ${values.keys().next().value}`);
+    }
+
+    return params;
   }
 
   /**
@@ -152,6 +547,13 @@ class HMaxEncoder {
     return Buffer.from(buffer).toString('base64');
   }
 
+  /**
+   * Encode component as unpadded base64 (PHC)
+   */
+  _encodePHCComponent(buffer) {
+    return this._encodeComponent(buffer).replace(/=+$/, '');
+  }
+
   /**
    * Decode component from string
    */
@@ -163,13 +565,19 @@ class HMaxEncoder {
    * Validate metadata before encoding
    */
   _validateMetadata(metadata) {
-    const { version, algorithm, salt, hash } = metadata;
+    const { version, algorithm, keyId, salt, hash } = metadata;
 
-    if (version < 1 || version > 999) {
+    if (!metadata.plain && (version < 1 || version > 999)) {
       throw new Error('Version must be between 1 and 999');
     }
 
-    if (!['argon2id', 'pbkdf2', 'hmac-sha512'].includes(algorithm)) {
+    if (metadata.plain) {
+      // Imported PHC hash: no HMAX version, key ID or secret-layer parameters
+    } else if (version >= KEY_ID_FORMAT_VERSION && (typeof keyId !== 'string' || !/^[A-Za-z0-9_-]{1,64}$/.test(keyId))) {
+      throw new Error('Key ID must be 1-64 characters of [A-Za-z0-9_-]');
+    }
+
+    if (!this.algorithms.has(algorithm)) {
       throw new Error('Unsupported algorithm');
     }
 
@@ -182,29 +590,127 @@ class HMaxEncoder {
     }
 
     // Algorithm-specific validation
-    if (algorithm === 'argon2id') {
-      const { timeCost, memoryCost, parallelism } = metadata;
-      if (timeCost < 1 || timeCost > 10) throw new Error('Invalid timeCost');
-      if (memoryCost < 4096 || memoryCost > 1048576) throw new Error('Invalid memoryCost');
-      if (parallelism < 1 || parallelism > 16) throw new Error('Invalid parallelism');
-    } else if (algorithm === 'pbkdf2' || algorithm === 'hmac-sha512') {
-      const { iterations } = metadata;
-      if (iterations < 1000 || iterations > 1000000) throw new Error('Invalid iterations');
+    this.algorithms.get(algorithm).validate(metadata);
+
+    if (!metadata.plain && version >= PARAMS_FORMAT_VERSION) {
+      const { hmacAlgorithm, keyLength } = metadata;
+      if (!HASH_ALGORITHMS.includes(hmacAlgorithm)) throw new Error('Invalid hmacAlgorithm');
+      if (metadata.seal && metadata.seal !== seal.getAlgorithm()) throw new Error('Invalid seal');
+      if (metadata.pepperId && !/^[A-Za-z0-9_-]{1,64}$/.test(metadata.pepperId)) throw new Error('Invalid pepperId');
+      if (metadata.wrapped && !/^[A-Za-z0-9_-]+$/.test(metadata.wrapped)) throw new Error('Invalid wrapped layer');
+      if (metadata.contextBinding && metadata.contextBinding !== CONTEXT_BINDING) throw new Error('Invalid context binding');
+      // Absent means the password was hashed as given ('none')
+      if (metadata.normalization && (metadata.normalization === 'none' || !NORMALIZATION_MODES.includes(metadata.normalization))) {
+        throw new Error('Invalid password normalization');
+      }
+
+      const expectedLength = keyLength + (metadata.seal ? seal.getOverhead() : 0);
+      if (keyLength !== undefined && expectedLength !== hash.length) throw new Error('keyLength must match hash length');
+    }
+  }
+
+  /**
+   * Associated data binding a sealed hash to its salt and parameters
+   * (the key ID is excluded so the hash can be resealed under another secret)
+   */
+  getSealContext(metadata) {
+    return [
+      'hmax',
+      metadata.version.toString(),
+      metadata.algorithm,
+      this._encodeComponent(metadata.salt),
+      this._encodeParams(metadata)
+    ].join('$');
+  }
+
+  /**
+   * Key for a hash's `hmac` or `seal` layer: the purpose's subkey of the
+   * master secret from v6 on, the master secret itself before
+   */
+  layerKey(metadata, secret, purpose) {
+    return metadata.version >= SUBKEY_FORMAT_VERSION ? deriveSubkey(secret, purpose) : secret;
+  }
+
+  /**
+   * Whether a hash's format records parameters such as the normalization (v5+)
+   */
+  supportsParams(metadata) {
+    return this._withVersion(metadata).version >= PARAMS_FORMAT_VERSION;
+  }
+
+  /**
+   * Whether a hash's format can carry an integrity tag (v6+ HMAX hashes)
+   */
+  supportsIntegrityTag(metadata) {
+    return !metadata.plain && metadata.format !== 'legacy' &&
+      this._withVersion(metadata).version >= SUBKEY_FORMAT_VERSION;
+  }
+
+  /**
+   * Metadata without a version is encoded in the configured format version
+   */
+  _withVersion(metadata) {
+    if (metadata.version !== undefined) {
+      return metadata;
+    }
+    return { ...metadata, version: this.config.getConfig().encoding.formatVersion };
+  }
+
+  /**
+   * Whether encoding this hash appends an integrity tag
+   */
+  _writesIntegrityTag(metadata) {
+    return this.config.getConfig().encoding.integrityTag && this.supportsIntegrityTag(metadata);
+  }
+
+  /**
+   * Whether a decoded hash without a tag must be refused: otherwise
+   * deleting the tag would bypass the check
+   */
+  _requiresIntegrityTag(metadata) {
+    return metadata.version >= SUBKEY_FORMAT_VERSION && this.config.getConfig().encoding.integrityTag;
+  }
+
+  /**
+   * Keyed MAC over an encoded hash, under the `integrity` subkey of its secret
+   */
+  _integrityTag(keyId, encoded) {
+    const secret = this.secretManager.getSecretById(keyId);
+    if (!secret) {
+      throw new Error(`Cannot compute integrity tag: unknown secret key ID: ${keyId}`);
+    }
+    return createHmac('sha512', deriveSubkey(secret, 'integrity'))
+      .update(encoded)
+      .digest()
+      .subarray(0, INTEGRITY_TAG_LENGTH);
+  }
+
+  /**
+   * Check a stored integrity tag: 'verified', or 'unchecked' when the secret is not
+   * registered here (verification then fails on the key ID anyway)
+   */
+  _checkIntegrityTag(keyId, encoded, tag) {
+    if (!this.secretManager.getSecretById(keyId)) {
+      return 'unchecked';
+    }
+    if (!timing.verifyHash(this._decodeComponent(tag), this._integrityTag(keyId, encoded))) {
+      throw new IntegrityError();
     }
+    return 'verified';
   }
 
   /**
    * Get supported algorithms
    */
   getSupportedAlgorithms() {
-    return ['argon2id', 'pbkdf2', 'hmac-sha512'];
+    return this.algorithms.list();
   }
 
   /**
    * Get current format version
    */
   getCurrentVersion() {
-    return config.getConfig().encoding.formatVersion;
+    return this.config.getConfig().encoding.formatVersion;
   }
 }
 
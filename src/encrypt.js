@@ -0,0 +1,151 @@
+/**
+ * HMAX-SECURE Field Encryption
+ * AES-256-GCM for reversible secrets (TOTP seeds, recovery codes) under the managed master secrets
+ */
+
+import { createCipheriv, createDecipheriv, randomBytes } from 'node:crypto';
+import secretManager from './secrets.js';
+import { deriveSubkey } from './keys.js';
+import { IntegrityError } from './errors.js';
+
+// Token layout: hmaxenc$<version>$<algorithm>$<keyId>$<nonce>$<ciphertext || tag>
+const TOKEN_PREFIX = 'hmaxenc';
+const ENCRYPTION_FORMAT_VERSION = 1;
+const CIPHER_ALGORITHM = 'aes-256-gcm';
+const NONCE_LENGTH = 12;
+const TAG_LENGTH = 16;
+
+export class FieldCipher {
+  constructor({ secretManager: secrets = secretManager } = {}) {
+    this.secretManager = secrets;
+  }
+
+  /**
+   * Encrypt under the current secret. `context` (e.g. user ID and field name)
+   * is authenticated, not stored: decrypt must be given the same one.
+   */
+  encrypt(plaintext, { context = null } = {}) {
+    if (typeof plaintext !== 'string' && !(plaintext instanceof Uint8Array)) {
+      throw new Error('Plaintext must be a string or Uint8Array');
+    }
+
+    const keyId = this.secretManager.getCurrentSecretId();
+    const header = this._header(ENCRYPTION_FORMAT_VERSION, keyId);
+    const nonce = randomBytes(NONCE_LENGTH);
+
+    const cipher = createCipheriv(CIPHER_ALGORITHM, this._key(keyId), nonce, { authTagLength: TAG_LENGTH });
+    cipher.setAAD(this._aad(header, context));
+    const sealed = Buffer.concat([cipher.update(plaintext), cipher.final(), cipher.getAuthTag()]);
+
+    return [header, nonce.toString('base64'), sealed.toString('base64')].join('$');
+  }
+
+  /**
+   * Decrypt a token from encrypt, under whichever registered secret it names.
+   * Returns a Buffer, or a string when `encoding` is given.
+   */
+  decrypt(token, { context = null, encoding = null } = {}) {
+    const { header, keyId, nonce, sealed } = this._decodeToken(token);
+
+    const decipher = createDecipheriv(CIPHER_ALGORITHM, this._key(keyId), nonce, { authTagLength: TAG_LENGTH });
+    decipher.setAAD(this._aad(header, context));
+    decipher.setAuthTag(sealed.subarray(sealed.length - TAG_LENGTH));
+
+    let plaintext;
+    try {
+      plaintext = Buffer.concat([decipher.update(sealed.subarray(0, sealed.length - TAG_LENGTH)), decipher.final()]);
+    } catch {
+      throw new IntegrityError('Encrypted field failed authentication: tampered with or wrong context');
+    }
+    return encoding ? plaintext.toString(encoding) : plaintext;
+  }
+
+  /**
+   * Move a token to the current secret (no-op if it already uses it)
+   */
+  reencrypt(token, { context = null } = {}) {
+    const { keyId } = this._decodeToken(token);
+    const currentId = this.secretManager.getCurrentSecretId();
+    if (keyId === currentId) {
+      return { reencrypted: false, token };
+    }
+
+    const plaintext = this.decrypt(token, { context });
+    try {
+      return {
+        reencrypted: true,
+        oldToken: token,
+        newToken: this.encrypt(plaintext, { context }),
+        fromKeyId: keyId,
+        toKeyId: currentId
+      };
+    } finally {
+      plaintext.fill(0);
+    }
+  }
+
+  /**
+   * Key ID a token was encrypted under, e.g. to find tokens left on a retired secret
+   */
+  getKeyId(token) {
+    return this._decodeToken(token).keyId;
+  }
+
+  _decodeToken(token) {
+    if (typeof token !== 'string') {
+      throw new Error('Encrypted token must be a string');
+    }
+
+    const parts = token.split('$');
+    if (parts.length !== 6 || parts[0] !== TOKEN_PREFIX) {
+      throw new Error('Invalid encrypted token format');
+    }
+
+    const [, versionPart, algorithm, keyId, noncePart, sealedPart] = parts;
+    const version = parseInt(versionPart, 10);
+    if (String(version) !== versionPart || version !== ENCRYPTION_FORMAT_VERSION) {
+      throw new Error(`Unsupported encrypted token version: ${versionPart}`);
+    }
+    if (algorithm !== CIPHER_ALGORITHM) {
+      throw new Error(`Unsupported encryption algorithm: ${algorithm}`);
+    }
+
+    const nonce = Buffer.from(noncePart, 'base64');
+    const sealed = Buffer.from(sealedPart, 'base64');
+    if (nonce.length !== NONCE_LENGTH || sealed.length < TAG_LENGTH) {
+      throw new Error('Invalid encrypted token format');
+    }
+
+    return { header: this._header(version, keyId), keyId, nonce, sealed };
+  }
+
+  _header(version, keyId) {
+    return [TOKEN_PREFIX, version.toString(), CIPHER_ALGORITHM, keyId].join('$');
+  }
+
+  /**
+   * Associated data: the token header and the caller's context
+   */
+  _aad(header, context) {
+    if (context === null) {
+      return Buffer.from(header);
+    }
+    if ((typeof context !== 'string' && !(context instanceof Uint8Array)) || context.length === 0) {
+      throw new Error('Context must be a non-empty string or Uint8Array');
+    }
+    return Buffer.concat([Buffer.from(header), Buffer.alloc(1), Buffer.from(context)]);
+  }
+
+  /**
+   * AES-256 key: the `encryption` subkey of the secret with this ID
+   */
+  _key(keyId) {
+    const secret = this.secretManager.getSecretById(keyId);
+    if (!secret) {
+      throw new Error(`Unknown secret key ID: ${keyId}`);
+    }
+    return deriveSubkey(secret, 'encryption', '', 32);
+  }
+}
+
+export default new FieldCipher();
@@ -0,0 +1,85 @@
+/**
+ * HMAX-SECURE Error Types
+ * Errors callers may need to tell apart from a failed verification
+ */
+
+export class HMaxError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = this.constructor.name;
+    this.code = code;
+  }
+}
+
+/**
+ * Work was rejected because a worker or scheduler queue is full
+ */
+export class OverloadedError extends HMaxError {
+  constructor(message = 'HMAX-SECURE is overloaded: queue is full') {
+    super(message, 'HMAX_OVERLOADED');
+  }
+}
+
+/**
+ * A stored hash uses parameters below verification.minimums
+ */
+export class MinimumParametersError extends HMaxError {
+  constructor(message = 'Hash parameters are below the verification minimums') {
+    super(message, 'HMAX_BELOW_MINIMUM');
+  }
+}
+
+/**
+ * A stored hash's integrity tag does not match its other segments
+ */
+export class IntegrityError extends HMaxError {
+  constructor(message = 'Hash integrity tag mismatch: hash string was tampered with') {
+    super(message, 'HMAX_TAMPERED');
+  }
+}
+
+/**
+ * A stored hash is in a format this configuration does not accept
+ */
+export class InvalidHashError extends HMaxError {
+  constructor(message = 'Hash format is not accepted') {
+    super(message, 'HMAX_INVALID_HASH');
+  }
+}
+
+/**
+ * A new password breaks the password policy; `violations` lists each rule
+ */
+export class PasswordPolicyError extends HMaxError {
+  constructor(violations = []) {
+    super(`Password does not meet the policy: ${violations.map(v => v.message).join('; ')}`, 'HMAX_WEAK_PASSWORD');
+    this.violations = violations;
+  }
+}
+
+/**
+ * A single derivation needs more memory than the whole budget allows
+ */
+export class BudgetExceededError extends HMaxError {
+  constructor(message = 'Derivation exceeds the configured memory budget') {
+    super(message, 'HMAX_BUDGET_EXCEEDED');
+  }
+}
+
+/**
+ * The per-call timeout elapsed before the derivation finished
+ */
+export class TimeoutError extends HMaxError {
+  constructor(message = 'HMAX-SECURE operation timed out') {
+    super(message, 'HMAX_TIMEOUT');
+  }
+}
+
+/**
+ * The caller's AbortSignal fired
+ */
+export class AbortError extends HMaxError {
+  constructor(message = 'HMAX-SECURE operation was aborted') {
+    super(message, 'ABORT_ERR');
+  }
+}
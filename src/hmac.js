@@ -6,18 +6,35 @@
 import { createHmac, randomBytes } from 'node:crypto';
 import config from './config.js';
 import secretManager from './secrets.js';
+import { deriveSubkey } from './keys.js';
+import { normalizePassword } from './normalize.js';
+
+export class HMACCore {
+  constructor({ config: cfg = config, secretManager: secrets = secretManager } = {}) {
+    this.config = cfg;
+    this.secretManager = secrets;
+  }
 
-class HMACCore {
   /**
-   * Create HMAC with master secret + pepper
+   * Create HMAC with master secret + pepper, keyed by default with the `hmac`
+   * subkey of the current secret. options.secret overrides that key (the caller
+   * passes the raw master secret only to verify pre-v6 hashes), options.hmacAlgorithm
+   * the configured digest; options.normalization is applied to string passwords first.
    */
-  createHMAC(data, salt, pepper = null) {
-    const { hmacAlgorithm, secrets } = config.getConfig();
+  createHMAC(data, salt, pepper = null, options = {}) {
+    const cfg = this.config.getConfig();
+    const { secrets } = cfg;
+    const hmacAlgorithm = options.hmacAlgorithm || cfg.hmacAlgorithm;
     
-    const masterSecret = secretManager.getCurrentSecret();
+    // Sealed hashes apply the master secret after the KDF (see seal.js),
+    // so the second layer is keyed with the salt only
+    const masterSecret = options.sealed
+      ? salt
+      : options.secret || this.secretManager.deriveSubkey('hmac');
     const usePepper = secrets.enablePepper && pepper;
     
     // Create layered HMAC: HMAC(masterSecret, HMAC(pepper, data || salt))
+    data = normalizePassword(data, options.normalization || 'none');
     let hmacData = data;
     
     // First layer: pepper if enabled
@@ -31,17 +48,36 @@ class HMACCore {
     // Second layer: master secret
     const masterHmac = createHmac(hmacAlgorithm, masterSecret);
     masterHmac.update(salt);
+
+    // Hashes bound to a context (e.g. a user ID) mix it in, length-prefixed
+    if (options.context) {
+      const length = Buffer.alloc(4);
+      length.writeUInt32BE(options.context.length);
+      masterHmac.update(length);
+      masterHmac.update(options.context);
+    }
+
     masterHmac.update(hmacData);
     
     return masterHmac.digest();
   }
 
+  /**
+   * Bytes of a caller-supplied context bound into the HMAC layer
+   */
+  encodeContext(context) {
+    if ((typeof context === 'string' || context instanceof Uint8Array) && context.length > 0) {
+      return Buffer.from(context);
+    }
+    throw new Error('Context must be a non-empty string or Uint8Array');
+  }
+
   /**
    * Verify HMAC with multiple secrets (rotation support)
    */
   verifyHMAC(data, salt, expectedHMAC, pepper = null) {
-    const { hmacAlgorithm, secrets } = config.getConfig();
-    const allSecrets = secretManager.getAllSecrets();
+    const { hmacAlgorithm, secrets } = this.config.getConfig();
+    const allSecrets = this.secretManager.getAllSecrets();
     
     // Try all secrets (current + previous) for rotation support
     for (const secret of allSecrets) {
@@ -56,8 +92,8 @@ class HMACCore {
           hmacData = pepperHmac.digest();
         }
         
-        // Second layer with current secret being tested
-        const masterHmac = createHmac(hmacAlgorithm, secret);
+        // Second layer with the `hmac` subkey of the secret being tested, as createHMAC
+        const masterHmac = createHmac(hmacAlgorithm, deriveSubkey(secret, 'hmac'));
         masterHmac.update(salt);
         masterHmac.update(hmacData);
         const computedHMAC = masterHmac.digest();
@@ -66,7 +102,7 @@ class HMACCore {
         if (this.timingSafeEqual(computedHMAC, expectedHMAC)) {
           return {
             verified: true,
-            usedCurrentSecret: secret === secretManager.getCurrentSecret()
+            usedCurrentSecret: secret === this.secretManager.getCurrentSecret()
           };
         }
       } catch (error) {
@@ -107,7 +143,7 @@ class HMACCore {
    * Create HMAC with specific secret (for testing/advanced use)
    */
   createHMACWithSecret(data, salt, secret, pepper = null) {
-    const { hmacAlgorithm } = config.getConfig();
+    const { hmacAlgorithm } = this.config.getConfig();
     
     let hmacData = data;
     
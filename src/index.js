@@ -4,19 +4,56 @@
  */
 
 import { randomBytes } from 'node:crypto';
-import config from './config.js';
-import secretManager from './secrets.js';
-import hmac from './hmac.js';
-import argon2 from './argon2.js';
-import pbkdf2 from './pbkdf2.js';
-import encoder from './encode.js';
-import verifier from './verify.js';
+import defaultConfig, { HMaxConfig } from './config.js';
+import defaultSecretManager, { SecretManager } from './secrets.js';
+import { HMACCore } from './hmac.js';
+import defaultAlgorithms, { AlgorithmRegistry } from './algorithms.js';
+import { HMaxEncoder, CONTEXT_BINDING } from './encode.js';
+import seal from './seal.js';
+import { HMaxVerifier } from './verify.js';
+import { WorkerPool } from './pool.js';
+import { SyncBridge } from './sync-bridge.js';
+import { FieldCipher } from './encrypt.js';
+import { TokenService } from './tokens.js';
+import { ApiKeyService } from './apikeys.js';
+import { PasswordPolicy } from './policy.js';
+import { normalizePassword, normalizationFor } from './normalize.js';
+import defaultScheduler, { KdfScheduler } from './scheduler.js';
 
 /**
  * HMAX-SECURE Main Class
+ * Each instance owns its configuration, secret manager and verifier
  */
 class HMaxSecure {
-  constructor() {
+  constructor(options = {}) {
+    this.config = options.config || new HMaxConfig();
+    this.secretManager = options.secretManager || new SecretManager(this.config);
+
+    const deps = { config: this.config, secretManager: this.secretManager };
+    this.hmac = new HMACCore(deps);
+    this.cipher = new FieldCipher(deps);
+    this.tokens = new TokenService({ ...deps, store: options.tokenStore || null });
+    this.apiKeys = new ApiKeyService(deps);
+    this.policy = new PasswordPolicy({ ...deps, breachChecker: options.breachChecker || null });
+    // Seeded with the built-ins; registerAlgorithm only affects this hasher
+    this.algorithms = options.algorithms || new AlgorithmRegistry(defaultAlgorithms);
+    this.encoder = new HMaxEncoder(this.config, this.algorithms, this.secretManager);
+    this.pool = new WorkerPool(this.config);
+    this.syncBridge = new SyncBridge();
+    // Budget from this hasher's limits, unless it shares another hasher's scheduler
+    this.scheduler = options.scheduler || new KdfScheduler(this.config);
+    this.verifier = new HMaxVerifier({
+      ...deps,
+      hmac: this.hmac,
+      algorithms: this.algorithms,
+      encoder: this.encoder,
+      pool: this.pool,
+      syncBridge: this.syncBridge,
+      scheduler: this.scheduler,
+      // Rehashing a password that just verified must not fail on a newer policy
+      createHash: (password, hashOptions) => this._createHash(password, hashOptions, null)
+    });
+
     this.initialized = false;
   }
 
@@ -24,13 +61,45 @@ class HMaxSecure {
    * Initialize the library with secrets
    */
   async initialize(secrets = {}) {
+    this._applySecrets(secrets);
+  }
+
+  /**
+   * Register secrets and peppers with this instance's secret manager
+   */
+  _applySecrets(secrets) {
+    // A pepper only adds to the secret layer; checked before anything is registered
+    const hasSecret = Boolean(secrets.currentSecret) || this.secretManager.hasCurrentSecret();
+    if (this.config.getConfig().secrets.enablePepper && secrets.currentPepper && !hasSecret) {
+      throw new Error('Current secret must be set when pepper is enabled');
+    }
+
     if (secrets.currentSecret) {
-      secretManager.setCurrentSecret(secrets.currentSecret);
+      this.secretManager.setCurrentSecret(secrets.currentSecret, secrets.currentSecretId);
     }
     
     if (secrets.previousSecrets) {
-      secrets.previousSecrets.forEach(secret => {
-        secretManager.addPreviousSecret(secret);
+      // Entries are either raw secrets or { id, secret } pairs
+      secrets.previousSecrets.forEach(entry => {
+        if (entry instanceof Uint8Array) {
+          this.secretManager.addPreviousSecret(entry);
+        } else {
+          this.secretManager.addPreviousSecret(entry.secret, entry.id);
+        }
+      });
+    }
+
+    if (secrets.currentPepper) {
+      this.secretManager.setCurrentPepper(secrets.currentPepper, secrets.currentPepperId);
+    }
+
+    if (secrets.previousPeppers) {
+      secrets.previousPeppers.forEach(entry => {
+        if (entry instanceof Uint8Array) {
+          this.secretManager.addPreviousPepper(entry);
+        } else {
+          this.secretManager.addPreviousPepper(entry.pepper, entry.id);
+        }
       });
     }
 
@@ -38,135 +107,183 @@ class HMaxSecure {
   }
 
   /**
-   * Create password hash (async)
+   * Create password hash (async); the password must pass the policy,
+   * with `policyContext` ({ username, email, words }) for its context-word rule
    */
   async createHash(password, options = {}) {
+    const { policyContext = {}, ...hashOptions } = options;
+    const normalized = this._normalizeNewPassword(password);
+    this.policy.enforce(normalized, policyContext);
+    return this._createHash(normalized, hashOptions, null);
+  }
+
+  /**
+   * Create a hash; `wrapped` describes the inner layers when wrapping an existing hash
+   */
+  async _createHash(password, options, wrapped) {
     this._ensureInitialized();
-    this._validatePassword(password);
 
     const {
-      algorithm = 'argon2id',
+      algorithm = this.config.getConfig().algorithm,
       pepper = null,
-      salt = randomBytes(config.getConfig().saltLength),
+      pepperId = null,
+      salt = randomBytes(this.config.getConfig().saltLength),
+      context = null,
+      signal = null,
+      timeout,
       ...algorithmOptions
     } = options;
 
-    // Create HMAC layer
-    const hmacResult = hmac.createHMAC(password, salt, pepper);
+    const params = this._resolveParams(algorithm, algorithmOptions);
+    const peppering = this._resolvePepper(pepper, pepperId);
 
-    let derivedKey;
-    let metadata = {
-      version: config.getConfig().encoding.formatVersion,
-      algorithm,
-      salt
-    };
+    // Create HMAC layer
+    const { metadata, hmacResult, secret } = this._prepareHash(password, salt, peppering, algorithm, params, context);
+    if (wrapped) {
+      metadata.wrapped = wrapped;
+    }
 
     // Apply KDF layer
-    if (algorithm === 'argon2id') {
-      const { memoryCost, timeCost, parallelism } = config.getConfig().argon2;
-      derivedKey = await argon2.deriveKey(hmacResult, salt, {
-        memoryCost,
-        timeCost,
-        parallelism,
-        ...algorithmOptions
-      });
-      Object.assign(metadata, { memoryCost, timeCost, parallelism });
-    } else if (algorithm === 'pbkdf2') {
-      const { iterations } = config.getConfig().pbkdf2;
-      derivedKey = await pbkdf2.deriveKey(hmacResult, salt, {
-        iterations,
-        ...algorithmOptions
-      });
-      metadata.iterations = iterations;
-    } else {
-      throw new Error(`Unsupported algorithm: ${algorithm}`);
+    const kdf = this.algorithms.get(algorithm);
+    const kdfOptions = this.algorithms.kdfOptions(algorithm, params, this.config.getConfig());
+    // Worker threads only load the built-in algorithms
+    const threaded = this.pool.isEnabled() && this.algorithms.isBuiltin(algorithm);
+
+    // Wait for memory budget, then derive (on a worker thread if enabled)
+    const deadline = this.scheduler.deadline({ signal, timeout });
+    let derivedKey;
+    try {
+      derivedKey = await this.scheduler.run(
+        this.algorithms.memory(algorithm, kdfOptions),
+        (runSignal) => threaded
+          ? this.pool.derive(algorithm, hmacResult, salt, kdfOptions, runSignal)
+          : kdf.deriveKey(hmacResult, salt, { ...kdfOptions, signal: runSignal }),
+        deadline.signal
+      );
+    } finally {
+      deadline.clear();
     }
 
-    metadata.hash = derivedKey;
-    return encoder.encodeHash(metadata);
+    return this._finishHash(metadata, derivedKey, secret);
   }
 
   /**
    * Create password hash (sync)
+   * Algorithms without a sync deriver (Argon2id) run on the sync bridge worker
+   * while this thread blocks. A busy memory budget throws OverloadedError at once.
    */
   createHashSync(password, options = {}) {
     this._ensureInitialized();
-    this._validatePassword(password);
 
     const {
-      algorithm = 'pbkdf2', // Default to PBKDF2 for sync
+      policyContext = {},
+      algorithm = this.config.getConfig().algorithm,
       pepper = null,
-      salt = randomBytes(config.getConfig().saltLength),
+      pepperId = null,
+      salt = randomBytes(this.config.getConfig().saltLength),
+      context = null,
+      signal = null,
+      timeout,
       ...algorithmOptions
     } = options;
 
-    if (algorithm === 'argon2id') {
-      throw new Error('Argon2 is not available in sync mode');
+    password = this._normalizeNewPassword(password);
+    this.policy.enforce(password, policyContext);
+
+    const kdf = this.algorithms.get(algorithm);
+    // The bridge worker, like the pool, only loads the built-in algorithms
+    if (!kdf.deriveKeySync && !this.algorithms.isBuiltin(algorithm)) {
+      throw new Error(`${algorithm} is not available in sync mode`);
     }
 
-    const hmacResult = hmac.createHMAC(password, salt, pepper);
-    let derivedKey;
-    let metadata = {
-      version: config.getConfig().encoding.formatVersion,
-      algorithm,
-      salt
-    };
+    const params = this._resolveParams(algorithm, algorithmOptions);
+    const peppering = this._resolvePepper(pepper, pepperId);
+    const { metadata, hmacResult, secret } = this._prepareHash(password, salt, peppering, algorithm, params, context);
 
-    if (algorithm === 'pbkdf2') {
-      const { iterations } = config.getConfig().pbkdf2;
-      derivedKey = pbkdf2.deriveKeySync(hmacResult, salt, {
-        iterations,
-        ...algorithmOptions
-      });
-      metadata.iterations = iterations;
-    } else {
-      throw new Error(`Unsupported sync algorithm: ${algorithm}`);
-    }
+    const kdfOptions = this.algorithms.kdfOptions(algorithm, params, this.config.getConfig());
+    const derivedKey = this.scheduler.runSync(
+      this.algorithms.memory(algorithm, kdfOptions),
+      (remaining) => kdf.deriveKeySync
+        ? kdf.deriveKeySync(hmacResult, salt, kdfOptions)
+        : this.syncBridge.deriveSync(algorithm, hmacResult, salt, kdfOptions, remaining),
+      this.scheduler.deadlineSync({ signal, timeout })
+    );
 
-    metadata.hash = derivedKey;
-    return encoder.encodeHash(metadata);
+    return this._finishHash(metadata, derivedKey, secret);
   }
 
   /**
    * Verify password (async)
    */
-  async verifyPassword(password, encodedHash, pepper = null) {
-    return verifier.verifyPassword(password, encodedHash, pepper);
+  async verifyPassword(password, encodedHash, pepper = null, options = {}) {
+    return this.verifier.verifyPassword(password, encodedHash, pepper, options);
+  }
+
+  /**
+   * Burn the cost of a verification for a user that does not exist
+   */
+  async verifyAgainstDummy(password, options = {}) {
+    return this.verifier.verifyAgainstDummy(password, options);
   }
 
   /**
    * Verify password (sync)
    */
-  verifyPasswordSync(password, encodedHash, pepper = null) {
-    return verifier.verifyPasswordSync(password, encodedHash, pepper);
+  verifyPasswordSync(password, encodedHash, pepper = null, options = {}) {
+    return this.verifier.verifyPasswordSync(password, encodedHash, pepper, options);
   }
 
   /**
    * Extract metadata from hash
    */
   extractMetadata(encodedHash) {
-    return encoder.extractMetadata(encodedHash);
+    return this.encoder.extractMetadata(encodedHash);
+  }
+
+  /**
+   * Add a KDF to the algorithm registry (see AlgorithmRegistry.register)
+   */
+  registerAlgorithm(definition) {
+    return this.algorithms.register(definition);
+  }
+
+  /**
+   * Convert an HMAX hash (either form) to a PHC string
+   */
+  toPHC(encodedHash) {
+    return this.encoder.encodePHC(this.encoder.decodeHash(encodedHash));
+  }
+
+  /**
+   * Convert a PHC string written by toPHC back to the hmax$ form
+   */
+  fromPHC(phcString) {
+    const metadata = this.encoder.decodePHC(phcString);
+    if (metadata.plain) {
+      throw new Error('Plain PHC hashes have no HMAX layers; verify them as-is and they are rehashed at next login');
+    }
+    return this.encoder.encodeHash(metadata);
   }
 
   /**
    * Migrate hash if outdated
    */
-  async migrateHashIfOutdated(password, encodedHash, pepper = null) {
-    return verifier.migrateHashIfOutdated(password, encodedHash, pepper);
+  async migrateHashIfOutdated(password, encodedHash, pepper = null, options = {}) {
+    return this.verifier.migrateHashIfOutdated(password, encodedHash, pepper, options);
   }
 
   /**
    * Generate cryptographically secure secret
    */
   generateSecret(length = 64) {
-    return config.generateSecret(length);
+    return this.config.generateSecret(length);
   }
 
   /**
    * Generate cryptographically secure pepper
    */
   generatePepper(length = 32) {
-    return hmac.generatePepper(length);
+    return this.hmac.generatePepper(length);
   }
 
   /**
@@ -174,14 +291,162 @@ class HMaxSecure {
    */
   rotateSecret(newSecret = null) {
     const secretToUse = newSecret || this.generateSecret();
-    return secretManager.rotateSecrets(secretToUse);
+    return this.secretManager.rotateSecrets(secretToUse);
+  }
+
+  /**
+   * Rotate current pepper (hashes using the old pepper are migrated at next login)
+   */
+  rotatePepper(newPepper = null) {
+    const pepperToUse = newPepper || this.generatePepper();
+    return this.secretManager.rotatePeppers(pepperToUse);
+  }
+
+  /**
+   * HKDF-SHA512 subkey of the current master secret for a fixed purpose
+   * ('hmac', 'seal', 'pepper', 'encryption', 'token', 'integrity', 'apikey')
+   */
+  deriveSubkey(purpose, context = '') {
+    this._ensureInitialized();
+    return this.secretManager.deriveSubkey(purpose, context);
+  }
+
+  /**
+   * Encrypt a reversible secret (TOTP seed, recovery code) under the current master secret
+   */
+  encrypt(plaintext, options = {}) {
+    this._ensureInitialized();
+    return this.cipher.encrypt(plaintext, options);
+  }
+
+  /**
+   * Decrypt a token from encrypt(), under the current or a previous secret
+   */
+  decrypt(token, options = {}) {
+    return this.cipher.decrypt(token, options);
+  }
+
+  /**
+   * Move an encrypted token to the current secret
+   */
+  reencrypt(token, options = {}) {
+    this._ensureInitialized();
+    return this.cipher.reencrypt(token, options);
+  }
+
+  /**
+   * Issue a signed, expiring token ({ subject, purpose, ttl }) for password reset or email verification
+   */
+  issueToken(options = {}) {
+    this._ensureInitialized();
+    return this.tokens.issueToken(options);
+  }
+
+  /**
+   * Verify a token for a purpose; with a token store it can be used once
+   */
+  async verifyToken(token, options = {}) {
+    return this.tokens.verifyToken(token, options);
+  }
+
+  /**
+   * Store that records consumed token nonces (null: tokens are valid until expiry)
+   */
+  setTokenStore(store) {
+    this.tokens.setStore(store);
+  }
+
+  /**
+   * Check a password against the policy without hashing it.
+   * Returns { valid, violations: [{ code, message, limit? }] }.
+   */
+  checkPassword(password, context = {}) {
+    return this.policy.check(password, context);
+  }
+
+  /**
+   * Reject breached passwords in checkPassword and createHash (null to stop)
+   */
+  setBreachChecker(checker) {
+    this.policy.setBreachChecker(checker);
+  }
+
+  /**
+   * Generate an API key (hmx_<environment>_<id>_<secret>) with its lookup ID and hash
+   */
+  createApiKey(options = {}) {
+    this._ensureInitialized();
+    return this.apiKeys.createApiKey(options);
+  }
+
+  /**
+   * Hash an API key under the current secret (one HMAC, no KDF)
+   */
+  hashApiKey(key) {
+    this._ensureInitialized();
+    return this.apiKeys.hashApiKey(key);
+  }
+
+  /**
+   * Verify an API key against its stored hash
+   */
+  verifyApiKey(key, encodedHash) {
+    return this.apiKeys.verifyApiKey(key, encodedHash);
+  }
+
+  /**
+   * Lookup ID and environment of an API key
+   */
+  parseApiKey(key) {
+    return this.apiKeys.parseApiKey(key);
+  }
+
+  /**
+   * Upgrade an outdated hash without the password by feeding its output
+   * through the current KDF (hash onion); unwrapped at next login
+   */
+  async wrapHash(encodedHash, options = {}) {
+    this._ensureInitialized();
+
+    if (!this.encoder.needsMigration(encodedHash)) {
+      return { wrapped: false, hash: encodedHash };
+    }
+
+    const metadata = this.encoder.decodeHash(encodedHash);
+    const newHash = await this._createHash(
+      this.verifier.storedOutput(metadata),
+      options,
+      this.encoder.encodeWrapped(metadata)
+    );
+
+    return {
+      wrapped: true,
+      oldHash: encodedHash,
+      newHash,
+      layers: this.encoder.countLayers(newHash)
+    };
+  }
+
+  /**
+   * Move a sealed hash to the current secret without the password
+   */
+  resealHash(encodedHash) {
+    this._ensureInitialized();
+    return this.verifier.resealHash(encodedHash);
   }
 
   /**
    * Security audit of hash
    */
   auditHash(encodedHash) {
-    return verifier.auditHash(encodedHash);
+    return this.verifier.auditHash(encodedHash);
+  }
+
+  /**
+   * Stop the worker pool's threads (the pool restarts on next use)
+   */
+  async close() {
+    await Promise.all([this.pool.close(), this.syncBridge.close()]);
   }
 
   /**
@@ -192,26 +457,124 @@ class HMaxSecure {
       console.warn('HMAX-SECURE: Library not initialized. Call initialize() first.');
       // Auto-initialize with generated secret for convenience
       const tempSecret = this.generateSecret();
-      secretManager.setCurrentSecret(tempSecret);
+      this.secretManager.setCurrentSecret(tempSecret);
       this.initialized = true;
     }
   }
 
   /**
-   * Validate password strength
+   * Build hash metadata and the pre-KDF HMAC layer under the current secret,
+   * bound to `context` (e.g. a user ID) when one is given
    */
-  _validatePassword(password) {
-    if (typeof password !== 'string' && !(password instanceof Uint8Array)) {
-      throw new Error('Password must be a string or Uint8Array');
+  _prepareHash(password, salt, peppering, algorithm, params, context = null) {
+    const keyId = this.secretManager.getCurrentSecretId();
+    const secret = this.secretManager.getSecretById(keyId);
+    const { enableSeal } = this.config.getConfig().secrets;
+
+    const metadata = {
+      version: this.config.getConfig().encoding.formatVersion,
+      algorithm,
+      keyId,
+      salt,
+      ...params
+    };
+
+    if (context !== null) {
+      metadata.contextBinding = CONTEXT_BINDING;
+    }
+
+    // Recorded so verification keeps using it after the default changes;
+    // formats without parameters hash the password as given
+    const normalization = this.encoder.supportsParams(metadata)
+      ? normalizationFor(password, this.config.getConfig().passwordNormalization)
+      : 'none';
+    if (normalization !== 'none') {
+      metadata.normalization = normalization;
+    }
+
+    const hmacResult = this.hmac.createHMAC(password, salt, peppering.pepper, {
+      secret: this.encoder.layerKey(metadata, secret, 'hmac'),
+      hmacAlgorithm: params.hmacAlgorithm,
+      sealed: enableSeal,
+      context: context !== null ? this.hmac.encodeContext(context) : null,
+      normalization
+    });
+
+    if (enableSeal) {
+      metadata.seal = seal.getAlgorithm();
+    }
+
+    if (peppering.pepperId) {
+      metadata.pepperId = peppering.pepperId;
+    }
+
+    return { metadata, hmacResult, secret };
+  }
+
+  /**
+   * Pick the pepper for a new hash: an explicit raw pepper (unrecorded),
+   * else a registered pepper by ID (recorded in the hash), else the current one
+   */
+  _resolvePepper(pepper, pepperId) {
+    if (!this.config.getConfig().secrets.enablePepper) {
+      return { pepper: null, pepperId: null };
+    }
+
+    if (pepper) {
+      return { pepper, pepperId: this.secretManager.getPepperId(pepper) };
     }
 
-    if (password.length < 1) {
-      throw new Error('Password cannot be empty');
+    const id = pepperId || this.secretManager.getCurrentPepperId();
+    if (!id) {
+      return { pepper: null, pepperId: null };
+    }
+
+    const registered = this.secretManager.getPepperById(id);
+    if (!registered) {
+      throw new Error(`Unknown pepper ID: ${id}`);
+    }
+    return { pepper: registered, pepperId: id };
+  }
+
+  /**
+   * Apply the outer seal (if enabled) and encode
+   */
+  _finishHash(metadata, derivedKey, secret) {
+    metadata.hash = metadata.seal
+      ? seal.seal(derivedKey, this.encoder.layerKey(metadata, secret, 'seal'), this.encoder.getSealContext(metadata))
+      : derivedKey;
+    return this.encoder.encodeHash(metadata);
+  }
+
+  /**
+   * Resolve the effective derivation parameters (per-call overrides over config)
+   * so exactly what was used gets recorded in the hash
+   */
+  _resolveParams(algorithm, overrides) {
+    const cfg = this.config.getConfig();
+    const {
+      hmacAlgorithm = cfg.hmacAlgorithm,
+      keyLength = 64
+    } = overrides;
+
+    const definition = this.algorithms.get(algorithm);
+    if (!definition.resolveParams) {
+      throw new Error(`Algorithm ${algorithm} is verify-only and cannot create new hashes`);
     }
 
-    if (password.length > 1024) {
-      throw new Error('Password too long');
+    const params = { ...definition.resolveParams(overrides, cfg), keyLength, hmacAlgorithm };
+    definition.validate(params);
+    return params;
+  }
+
+  /**
+   * Normalize a new password, refusing characters the configured profile disallows
+   */
+  _normalizeNewPassword(password) {
+    if (typeof password !== 'string' && !(password instanceof Uint8Array)) {
+      throw new Error('Password must be a string or Uint8Array');
     }
+    return normalizePassword(password, this.config.getConfig().passwordNormalization, { strict: true });
   }
 
   /**
@@ -222,31 +585,98 @@ class HMaxSecure {
       name: 'hmax-secure',
       version: '1.0.0',
       securityLevel: 'enterprise-military',
-      algorithms: encoder.getSupportedAlgorithms(),
-      currentVersion: encoder.getCurrentVersion()
+      algorithms: this.encoder.getSupportedAlgorithms(),
+      currentVersion: this.encoder.getCurrentVersion(),
+      legacyFormats: this.config.getConfig().verification.legacyFormats,
+      workers: this.pool.getStats(),
+      scheduler: this.scheduler.getStats()
     };
   }
 }
 
-// Create singleton instance
-const hmax = new HMaxSecure();
+/**
+ * Create an isolated hasher with its own configuration, secrets and budget
+ * (pass `scheduler: other.scheduler` to share another hasher's budget)
+ */
+export function createHasher(options = {}) {
+  const hasherConfig = new HMaxConfig();
+  if (options.config) {
+    hasherConfig.setConfig(options.config);
+  }
+
+  const hasher = new HMaxSecure({
+    config: hasherConfig,
+    tokenStore: options.tokenStore,
+    breachChecker: options.breachChecker,
+    scheduler: options.scheduler
+  });
+  if (options.secrets) {
+    hasher._applySecrets(options.secrets);
+  }
+
+  return hasher;
+}
+
+// Default instance backing the top-level exports
+const hmax = new HMaxSecure({
+  config: defaultConfig,
+  secretManager: defaultSecretManager,
+  scheduler: defaultScheduler
+});
 
 export const initialize = hmax.initialize.bind(hmax);
 export const createHash = hmax.createHash.bind(hmax);
 export const createHashSync = hmax.createHashSync.bind(hmax);
 export const verifyPassword = hmax.verifyPassword.bind(hmax);
 export const verifyPasswordSync = hmax.verifyPasswordSync.bind(hmax);
+export const verifyAgainstDummy = hmax.verifyAgainstDummy.bind(hmax);
 export const extractMetadata = hmax.extractMetadata.bind(hmax);
+export const toPHC = hmax.toPHC.bind(hmax);
+export const fromPHC = hmax.fromPHC.bind(hmax);
 export const migrateHashIfOutdated = hmax.migrateHashIfOutdated.bind(hmax);
 export const generateSecret = hmax.generateSecret.bind(hmax);
 export const generatePepper = hmax.generatePepper.bind(hmax);
 export const rotateSecret = hmax.rotateSecret.bind(hmax);
+export const rotatePepper = hmax.rotatePepper.bind(hmax);
+export const deriveSubkey = hmax.deriveSubkey.bind(hmax);
+export const encrypt = hmax.encrypt.bind(hmax);
+export const decrypt = hmax.decrypt.bind(hmax);
+export const reencrypt = hmax.reencrypt.bind(hmax);
+export const issueToken = hmax.issueToken.bind(hmax);
+export const verifyToken = hmax.verifyToken.bind(hmax);
+export const setTokenStore = hmax.setTokenStore.bind(hmax);
+export const checkPassword = hmax.checkPassword.bind(hmax);
+export const setBreachChecker = hmax.setBreachChecker.bind(hmax);
+export const createApiKey = hmax.createApiKey.bind(hmax);
+export const hashApiKey = hmax.hashApiKey.bind(hmax);
+export const verifyApiKey = hmax.verifyApiKey.bind(hmax);
+export const parseApiKey = hmax.parseApiKey.bind(hmax);
+export const resealHash = hmax.resealHash.bind(hmax);
+export const wrapHash = hmax.wrapHash.bind(hmax);
+export const registerAlgorithm = hmax.registerAlgorithm.bind(hmax);
 export const auditHash = hmax.auditHash.bind(hmax);
 export const getInfo = hmax.getInfo.bind(hmax);
+export const close = hmax.close.bind(hmax);
 
 
 // Configuration API
 export { default as config } from './config.js';
 export { default as secretManager } from './secrets.js';
+// Registry of the default instance (built-ins plus registerAlgorithm plugins)
+export const algorithms = hmax.algorithms;
+export { SUBKEY_PURPOSES } from './keys.js';
+export { MemoryTokenStore } from './tokens.js';
+export { BreachChecker } from './breach.js';
+export {
+  HMaxError,
+  OverloadedError,
+  MinimumParametersError,
+  IntegrityError,
+  InvalidHashError,
+  PasswordPolicyError,
+  BudgetExceededError,
+  TimeoutError,
+  AbortError
+} from './errors.js';
 
 export default hmax;
\ No newline at end of file
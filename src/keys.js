@@ -0,0 +1,40 @@
+/**
+ * HMAX-SECURE Key Hierarchy
+ * HKDF-SHA512 subkeys of a master secret, one per purpose
+ */
+
+import { hkdfSync } from 'node:crypto';
+
+// Fixed HKDF info labels: a subkey for one purpose never equals one for another
+export const SUBKEY_PURPOSES = Object.freeze({
+  hmac: 'hmax-secure/v1/hmac',
+  seal: 'hmax-secure/v1/seal',
+  pepper: 'hmax-secure/v1/pepper',
+  encryption: 'hmax-secure/v1/encryption',
+  token: 'hmax-secure/v1/token',
+  integrity: 'hmax-secure/v1/integrity',
+  apikey: 'hmax-secure/v1/apikey'
+});
+
+const HKDF_SALT = Buffer.from('hmax-secure/v1/hkdf');
+
+/**
+ * Derive the subkey of `masterSecret` for a purpose. `context` (string or
+ * bytes) separates keys within a purpose, e.g. per tenant or key version.
+ */
+export function deriveSubkey(masterSecret, purpose, context = '', length = 64) {
+  if (!Object.hasOwn(SUBKEY_PURPOSES, purpose)) {
+    throw new Error(`Unknown subkey purpose: ${purpose}`);
+  }
+  if (!Number.isInteger(length) || length < 16 || length > 64) {
+    throw new Error('Subkey length must be between 16 and 64 bytes');
+  }
+
+  // info = label || 0x00 || context, so no label/context pair collides with another
+  const info = Buffer.concat([Buffer.from(SUBKEY_PURPOSES[purpose]), Buffer.alloc(1), Buffer.from(context)]);
+  if (info.length > 1024) {
+    throw new Error('Subkey context too long');
+  }
+
+  return Buffer.from(hkdfSync('sha512', masterSecret, HKDF_SALT, info, length));
+}
@@ -0,0 +1,456 @@
+/**
+ * HMAX-SECURE Legacy Hash Formats
+ * Verify-only support for bcrypt, SHA-crypt and Django/Werkzeug PBKDF2 hashes
+ * so users migrating from other stacks are rehashed at their next login
+ */
+
+import { createHash, pbkdf2, pbkdf2Sync } from 'node:crypto';
+import { promisify } from 'node:util';
+
+const pbkdf2Async = promisify(pbkdf2);
+
+// crypt(3) base64 alphabets
+const CRYPT_ALPHABET = './0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz';
+const BCRYPT_ALPHABET = './ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+
+export const LEGACY_FORMATS = ['bcrypt', 'sha256crypt', 'sha512crypt', 'django-pbkdf2', 'werkzeug-pbkdf2'];
+
+/**
+ * Run a generator-based derivation, yielding to the event loop between steps
+ */
+async function drive(run, signal) {
+  let step = run.next();
+  while (!step.done) {
+    await new Promise((resolve) => setImmediate(resolve));
+    if (signal && signal.aborted) {
+      throw signal.reason;
+    }
+    step = run.next();
+  }
+  return step.value;
+}
+
+function runSync(run) {
+  let step = run.next();
+  while (!step.done) {
+    step = run.next();
+  }
+  return step.value;
+}
+
+// ---------------------------------------------------------------------------
+// bcrypt ($2a$, $2b$, $2y$)
+// ---------------------------------------------------------------------------
+
+// "OrpheanBeholderScryDoubt"
+const BCRYPT_MAGIC = [0x4f727068, 0x65616e42, 0x65686f6c, 0x64657253, 0x63727944, 0x6f756274];
+
+let blowfishInit = null;
+
+/**
+ * Blowfish initial P-array and S-boxes: the first 1042 32-bit words of the
+ * fractional part of pi, computed once with Machin's formula
+ */
+function blowfishInitialState() {
+  if (blowfishInit) {
+    return blowfishInit;
+  }
+
+  const words = 18 + 4 * 256;
+  const bits = BigInt(words * 32);
+  const guard = 64n;
+  const one = 1n << (bits + guard);
+
+  const arctanInv = (x) => {
+    const x2 = x * x;
+    let term = one / x;
+    let sum = term;
+    for (let k = 1n; term !== 0n; k++) {
+      term /= x2;
+      sum += (k & 1n ? -term : term) / (2n * k + 1n);
+    }
+    return sum;
+  };
+
+  const pi = 16n * arctanInv(5n) - 4n * arctanInv(239n);
+  const fraction = (pi >> guard) & ((1n << bits) - 1n);
+  const hex = fraction.toString(16).padStart(words * 8, '0');
+
+  const state = new Uint32Array(words);
+  for (let i = 0; i < words; i++) {
+    state[i] = parseInt(hex.slice(i * 8, i * 8 + 8), 16);
+  }
+
+  blowfishInit = { P: state.slice(0, 18), S: state.slice(18) };
+  return blowfishInit;
+}
+
+class Blowfish {
+  constructor() {
+    const { P, S } = blowfishInitialState();
+    this.P = P.slice();
+    this.S = S.slice();
+    this.block = new Uint32Array(2);
+  }
+
+  _f(x) {
+    const S = this.S;
+    return (((S[x >>> 24] + S[256 | ((x >>> 16) & 0xff)]) ^ S[512 | ((x >>> 8) & 0xff)]) + S[768 | (x & 0xff)]) >>> 0;
+  }
+
+  /**
+   * Encrypt this.block in place
+   */
+  encipher() {
+    const P = this.P;
+    let l = this.block[0] ^ P[0];
+    let r = this.block[1];
+    for (let i = 1; i <= 16; i += 2) {
+      r ^= this._f(l >>> 0) ^ P[i];
+      l ^= this._f(r >>> 0) ^ P[i + 1];
+    }
+    this.block[0] = r ^ P[17];
+    this.block[1] = l;
+  }
+
+  /**
+   * Next big-endian word of data, cycling; cursor is { offset }
+   */
+  static streamWord(data, cursor) {
+    let word = 0;
+    for (let i = 0; i < 4; i++) {
+      word = (word << 8) | data[cursor.offset];
+      cursor.offset = (cursor.offset + 1) % data.length;
+    }
+    return word >>> 0;
+  }
+
+  /**
+   * Blowfish key schedule, optionally mixing in the salt (EksBlowfish)
+   */
+  expand(key, salt = null) {
+    const keyCursor = { offset: 0 };
+    for (let i = 0; i < 18; i++) {
+      this.P[i] ^= Blowfish.streamWord(key, keyCursor);
+    }
+
+    const saltCursor = { offset: 0 };
+    this.block[0] = 0;
+    this.block[1] = 0;
+    const fill = (table, length) => {
+      for (let i = 0; i < length; i += 2) {
+        if (salt) {
+          this.block[0] ^= Blowfish.streamWord(salt, saltCursor);
+          this.block[1] ^= Blowfish.streamWord(salt, saltCursor);
+        }
+        this.encipher();
+        table[i] = this.block[0];
+        table[i + 1] = this.block[1];
+      }
+    };
+    fill(this.P, 18);
+    fill(this.S, 1024);
+  }
+}
+
+function* bcryptCore(password, salt, cost) {
+  // NUL-terminated, truncated to 72 bytes
+  const key = Buffer.concat([Buffer.from(password), Buffer.alloc(1)]).subarray(0, 72);
+
+  const bf = new Blowfish();
+  bf.expand(key, salt);
+
+  const rounds = 2 ** cost;
+  for (let i = 0; i < rounds; i++) {
+    bf.expand(key);
+    bf.expand(salt);
+    if ((i & 63) === 63) {
+      yield;
+    }
+  }
+
+  const ctext = Uint32Array.from(BCRYPT_MAGIC);
+  for (let i = 0; i < 64; i++) {
+    for (let j = 0; j < 6; j += 2) {
+      bf.block[0] = ctext[j];
+      bf.block[1] = ctext[j + 1];
+      bf.encipher();
+      ctext[j] = bf.block[0];
+      ctext[j + 1] = bf.block[1];
+    }
+  }
+
+  const out = Buffer.alloc(24);
+  for (let i = 0; i < 6; i++) {
+    out.writeUInt32BE(ctext[i], i * 4);
+  }
+  return out.subarray(0, 23);
+}
+
+function bcryptDecode(text, length) {
+  const out = Buffer.alloc(length);
+  let bitBuffer = 0;
+  let bitCount = 0;
+  let index = 0;
+  for (const char of text) {
+    const value = BCRYPT_ALPHABET.indexOf(char);
+    if (value < 0) {
+      throw new Error('Invalid bcrypt base64');
+    }
+    bitBuffer = (bitBuffer << 6) | value;
+    bitCount += 6;
+    if (bitCount >= 8) {
+      bitCount -= 8;
+      if (index < length) {
+        out[index++] = (bitBuffer >>> bitCount) & 0xff;
+      }
+    }
+  }
+  return out;
+}
+
+const bcryptKdf = {
+  async deriveKey(password, salt, { cost, signal = null }) {
+    return drive(bcryptCore(password, salt, cost), signal);
+  },
+  deriveKeySync(password, salt, { cost }) {
+    return runSync(bcryptCore(password, salt, cost));
+  }
+};
+
+// ---------------------------------------------------------------------------
+// SHA-crypt ($5$ sha256crypt, $6$ sha512crypt)
+// ---------------------------------------------------------------------------
+
+const SHA_CRYPT_ORDER = {
+  sha256: [
+    [0, 10, 20], [21, 1, 11], [12, 22, 2], [3, 13, 23], [24, 4, 14],
+    [15, 25, 5], [6, 16, 26], [27, 7, 17], [18, 28, 8], [9, 19, 29], [null, 31, 30]
+  ],
+  sha512: [
+    [0, 21, 42], [22, 43, 1], [44, 2, 23], [3, 24, 45], [25, 46, 4], [47, 5, 26], [6, 27, 48],
+    [28, 49, 7], [50, 8, 29], [9, 30, 51], [31, 52, 10], [53, 11, 32], [12, 33, 54], [34, 55, 13],
+    [56, 14, 35], [15, 36, 57], [37, 58, 16], [59, 17, 38], [18, 39, 60], [40, 61, 19], [62, 20, 41],
+    [null, null, 63]
+  ]
+};
+
+function repeatTo(digest, length) {
+  const out = Buffer.alloc(length);
+  for (let i = 0; i < length; i += digest.length) {
+    digest.copy(out, i, 0, Math.min(digest.length, length - i));
+  }
+  return out;
+}
+
+/**
+ * Unix crypt SHA-256/SHA-512 (Drepper), returning the encoded checksum
+ */
+function* shaCryptCore(algorithm, password, salt, rounds) {
+  const pw = Buffer.from(password);
+  const hash = () => createHash(algorithm);
+
+  const b = hash().update(pw).update(salt).update(pw).digest();
+  const size = b.length;
+
+  const a = hash().update(pw).update(salt);
+  for (let i = pw.length; i > 0; i -= size) {
+    a.update(b.subarray(0, Math.min(i, size)));
+  }
+  for (let i = pw.length; i > 0; i >>= 1) {
+    a.update(i & 1 ? b : pw);
+  }
+  let c = a.digest();
+
+  const dp = hash();
+  for (let i = 0; i < pw.length; i++) {
+    dp.update(pw);
+  }
+  const p = repeatTo(dp.digest(), pw.length);
+
+  const ds = hash();
+  for (let i = 0; i < 16 + c[0]; i++) {
+    ds.update(salt);
+  }
+  const s = repeatTo(ds.digest(), salt.length);
+
+  for (let i = 0; i < rounds; i++) {
+    const round = hash();
+    round.update(i & 1 ? p : c);
+    if (i % 3) round.update(s);
+    if (i % 7) round.update(p);
+    round.update(i & 1 ? c : p);
+    c = round.digest();
+    if (i % 10000 === 9999) {
+      yield;
+    }
+  }
+
+  let encoded = '';
+  for (const [i2, i1, i0] of SHA_CRYPT_ORDER[algorithm]) {
+    const chars = i2 === null ? (i1 === null ? 2 : 3) : 4;
+    let w = ((i2 === null ? 0 : c[i2]) << 16) | ((i1 === null ? 0 : c[i1]) << 8) | c[i0];
+    for (let n = 0; n < chars; n++) {
+      encoded += CRYPT_ALPHABET[w & 0x3f];
+      w >>>= 6;
+    }
+  }
+  return Buffer.from(encoded);
+}
+
+function shaCryptKdf(algorithm) {
+  return {
+    async deriveKey(password, salt, { rounds, signal = null }) {
+      return drive(shaCryptCore(algorithm, password, salt, rounds), signal);
+    },
+    deriveKeySync(password, salt, { rounds }) {
+      return runSync(shaCryptCore(algorithm, password, salt, rounds));
+    }
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Django / Werkzeug PBKDF2 (no iteration ceiling: Django raises its default every release)
+// ---------------------------------------------------------------------------
+
+const pbkdf2Kdf = {
+  async deriveKey(password, salt, { iterations, digest, keyLength }) {
+    return pbkdf2Async(password, salt, iterations, keyLength, digest);
+  },
+  deriveKeySync(password, salt, { iterations, digest, keyLength }) {
+    return pbkdf2Sync(password, salt, iterations, keyLength, digest);
+  }
+};
+
+/**
+ * Derivers keyed by legacy algorithm, with the signature the other KDFs use
+ */
+export const legacyKdfs = {
+  'bcrypt': bcryptKdf,
+  'sha256crypt': shaCryptKdf('sha256'),
+  'sha512crypt': shaCryptKdf('sha512'),
+  'django-pbkdf2': pbkdf2Kdf,
+  'werkzeug-pbkdf2': pbkdf2Kdf
+};
+
+// ---------------------------------------------------------------------------
+// Parsing
+// ---------------------------------------------------------------------------
+
+/**
+ * Legacy algorithm a hash string is written in, or null
+ */
+export function detectLegacyFormat(encoded) {
+  if (/^\$2[aby]\$/.test(encoded)) return 'bcrypt';
+  if (encoded.startsWith('$5$')) return 'sha256crypt';
+  if (encoded.startsWith('$6$')) return 'sha512crypt';
+  if (/^pbkdf2_sha(1|256)\$/.test(encoded)) return 'django-pbkdf2';
+  if (/^pbkdf2:sha(1|256|512)(:|\$)/.test(encoded)) return 'werkzeug-pbkdf2';
+  return null;
+}
+
+/**
+ * Decode a legacy hash into verification metadata.
+ * Legacy hashes are "plain": no HMAX secret layer, always due for migration.
+ */
+export function decodeLegacyHash(encoded) {
+  const algorithm = detectLegacyFormat(encoded);
+  const metadata = { algorithm, plain: true, format: 'legacy' };
+
+  if (algorithm === 'bcrypt') {
+    const match = /^\$2[aby]\$(\d\d)\$([./A-Za-z0-9]{22})([./A-Za-z0-9]{31})$/.exec(encoded);
+    if (!match) {
+      throw new Error('Invalid bcrypt hash');
+    }
+    metadata.cost = parseInt(match[1], 10);
+    if (metadata.cost < 4 || metadata.cost > 31) {
+      throw new Error('Invalid bcrypt cost');
+    }
+    metadata.salt = bcryptDecode(match[2], 16);
+    metadata.hash = bcryptDecode(match[3], 23);
+    return metadata;
+  }
+
+  if (algorithm === 'sha256crypt' || algorithm === 'sha512crypt') {
+    const match = /^\$[56]\$(?:rounds=(\d+)\$)?([^$]{0,16})\$([./A-Za-z0-9]+)$/.exec(encoded);
+    if (!match) {
+      throw new Error(`Invalid ${algorithm} hash`);
+    }
+    // Out-of-range rounds are clamped, as crypt(3) does
+    metadata.rounds = match[1] === undefined
+      ? 5000
+      : Math.min(Math.max(parseInt(match[1], 10), 1000), 999999999);
+    metadata.salt = Buffer.from(match[2]);
+    metadata.hash = Buffer.from(match[3]);
+    if (metadata.hash.length !== (algorithm === 'sha256crypt' ? 43 : 86)) {
+      throw new Error(`Invalid ${algorithm} checksum length`);
+    }
+    return metadata;
+  }
+
+  if (algorithm === 'django-pbkdf2') {
+    const match = /^pbkdf2_(sha1|sha256)\$(\d+)\$([^$]+)\$([A-Za-z0-9+/=]+)$/.exec(encoded);
+    if (!match) {
+      throw new Error('Invalid Django PBKDF2 hash');
+    }
+    metadata.digest = match[1];
+    metadata.iterations = parseInt(match[2], 10);
+    metadata.salt = Buffer.from(match[3]);
+    metadata.hash = Buffer.from(match[4], 'base64');
+    metadata.keyLength = metadata.hash.length;
+  } else if (algorithm === 'werkzeug-pbkdf2') {
+    const match = /^pbkdf2:(sha1|sha256|sha512)(?::(\d+))?\$([^$]+)\$([0-9a-f]+)$/.exec(encoded);
+    if (!match) {
+      throw new Error('Invalid Werkzeug PBKDF2 hash');
+    }
+    if (match[2] === undefined) {
+      throw new Error('Werkzeug hashes without an iteration count are not supported');
+    }
+    metadata.digest = match[1];
+    metadata.iterations = parseInt(match[2], 10);
+    metadata.salt = Buffer.from(match[3]);
+    metadata.hash = Buffer.from(match[4], 'hex');
+    metadata.keyLength = metadata.hash.length;
+  }
+
+  if (metadata.iterations < 1 || metadata.iterations > 100000000) {
+    throw new Error('Invalid PBKDF2 iterations');
+  }
+  if (metadata.keyLength < 16) {
+    throw new Error('PBKDF2 hash too short');
+  }
+  return metadata;
+}
+
+/**
+ * Options for the legacy deriver of a decoded hash
+ */
+export function legacyKdfOptions(metadata) {
+  if (metadata.algorithm === 'bcrypt') {
+    return { cost: metadata.cost };
+  }
+  if (metadata.algorithm === 'sha256crypt' || metadata.algorithm === 'sha512crypt') {
+    return { rounds: metadata.rounds };
+  }
+  const { iterations, digest, keyLength } = metadata;
+  return { iterations, digest, keyLength };
+}
+
+/**
+ * Stored costs of a decoded hash below verification.minimums, as readable strings
+ */
+export function legacyMinimums(metadata, minimums) {
+  if (metadata.algorithm === 'bcrypt') {
+    return metadata.cost < minimums.bcrypt.cost
+      ? [`bcrypt cost ${metadata.cost} < ${minimums.bcrypt.cost}`]
+      : [];
+  }
+  if (metadata.algorithm === 'sha256crypt' || metadata.algorithm === 'sha512crypt') {
+    return metadata.rounds < minimums.shaCrypt.rounds
+      ? [`${metadata.algorithm} rounds ${metadata.rounds} < ${minimums.shaCrypt.rounds}`]
+      : [];
+  }
+  return metadata.iterations < minimums.pbkdf2.iterations
+    ? [`${metadata.algorithm} iterations ${metadata.iterations} < ${minimums.pbkdf2.iterations}`]
+    : [];
+}
@@ -0,0 +1,48 @@
+/**
+ * HMAX-SECURE Password Normalization
+ * Unicode normalization so one password typed on different devices hashes the same
+ */
+
+// 'opaque' is the PRECIS OpaqueString profile (RFC 8265), successor to SASLprep
+export const NORMALIZATION_MODES = Object.freeze(['opaque', 'nfc', 'nfkc', 'none']);
+
+// Non-ASCII spaces, mapped to U+0020 by OpaqueString
+const NON_ASCII_SPACE = /(?! )\p{Zs}/gu;
+
+// FreeformClass code points OpaqueString disallows: controls, default-ignorable
+// and unassigned code points, lone surrogates and old Hangul jamo
+const DISALLOWED = /[\p{Cc}\p{Default_Ignorable_Code_Point}\p{Cn}\p{Cs}\u1100-\u11FF\uA960-\uA97C\uD7B0-\uD7C6\uD7CB-\uD7FB]/u;
+
+/**
+ * Normalize a password for `mode`. Bytes are used as given. With `strict`,
+ * OpaqueString throws on disallowed characters (new passwords only:
+ * verification treats them as a wrong password).
+ */
+export function normalizePassword(password, mode, { strict = false } = {}) {
+  if (typeof password !== 'string' || mode === 'none') {
+    return password;
+  }
+
+  switch (mode) {
+    case 'nfc':
+      return password.normalize('NFC');
+    case 'nfkc':
+      return password.normalize('NFKC');
+    case 'opaque': {
+      const normalized = password.replace(NON_ASCII_SPACE, ' ').normalize('NFC');
+      if (strict && DISALLOWED.test(normalized)) {
+        throw new Error('Password contains characters the OpaqueString profile disallows (controls, invisible or unassigned code points)');
+      }
+      return normalized;
+    }
+    default:
+      throw new Error(`Unknown password normalization: ${mode}`);
+  }
+}
+
+/**
+ * Mode to apply and record for a new hash: only strings are normalized
+ */
+export function normalizationFor(password, mode) {
+  return typeof password === 'string' ? mode : 'none';
+}
@@ -10,12 +10,16 @@ import config from "./config.js"; // MAKE SURE THIS PATH IS CORRECT
 // Converted require → import
 const pbkdf2Async = promisify(pbkdf2);
 
-class PBKDF2KDF {
+export class PBKDF2KDF {
+  constructor(cfg = config) {
+    this.config = cfg;
+  }
+
   /**
    * PBKDF2 key derivation (async)
    */
   async deriveKey(password, salt, options = {}) {
-    const cfg = config.getConfig();
+    const cfg = this.config.getConfig();
     const {
       iterations = cfg.pbkdf2.iterations,
       digest = cfg.pbkdf2.digest,
@@ -31,7 +35,7 @@ class PBKDF2KDF {
    * PBKDF2 key derivation (sync)
    */
   deriveKeySync(password, salt, options = {}) {
-    const cfg = config.getConfig();
+    const cfg = this.config.getConfig();
     const {
       iterations = cfg.pbkdf2.iterations,
       digest = cfg.pbkdf2.digest,
@@ -0,0 +1,182 @@
+/**
+ * HMAX-SECURE Password Policy
+ * Length, character-class and guessability rules for new passwords
+ */
+
+import config from './config.js';
+import { PasswordPolicyError } from './errors.js';
+
+// Shorter username/email fragments would reject too many good passwords
+const MIN_CONTEXT_WORD_LENGTH = 3;
+
+const CHARACTER_CLASSES = [
+  { option: 'requireLowercase', code: 'MISSING_LOWERCASE', pattern: /\p{Ll}/u, name: 'a lowercase letter' },
+  { option: 'requireUppercase', code: 'MISSING_UPPERCASE', pattern: /\p{Lu}/u, name: 'an uppercase letter' },
+  { option: 'requireDigit', code: 'MISSING_DIGIT', pattern: /\p{Nd}/u, name: 'a digit' },
+  { option: 'requireSymbol', code: 'MISSING_SYMBOL', pattern: /[^\p{L}\p{N}]/u, name: 'a symbol' }
+];
+
+const utf8 = new TextDecoder('utf-8', { fatal: true });
+
+export class PasswordPolicy {
+  constructor({ config: cfg = config, breachChecker = null } = {}) {
+    this.config = cfg;
+    this.setBreachChecker(breachChecker);
+  }
+
+  /**
+   * Reject passwords `checker` ({ isBreached(password) -> boolean }, e.g. a
+   * BreachChecker) reports as breached, while policy.rejectBreached is on
+   */
+  setBreachChecker(checker) {
+    if (checker !== null && typeof checker?.isBreached !== 'function') {
+      throw new Error('Breach checker must implement isBreached(password)');
+    }
+    this.breachChecker = checker;
+  }
+
+  /**
+   * Check a password against the policy. `context` ({ username, email, words })
+   * lists words the password must not contain.
+   * Returns { valid, violations: [{ code, message, limit? }] }.
+   */
+  check(password, context = {}) {
+    const text = this._decode(password);
+    const { policy } = this.config.getConfig();
+    if (!policy.enabled) {
+      return { valid: true, violations: [] };
+    }
+
+    const violations = [];
+    const add = (code, message, limit) => violations.push(limit === undefined ? { code, message } : { code, message, limit });
+
+    const bytes = typeof password === 'string' ? Buffer.byteLength(password) : password.length;
+    if (bytes < policy.minBytes) {
+      add('TOO_FEW_BYTES', `Password must be at least ${policy.minBytes} bytes`, policy.minBytes);
+    }
+    if (bytes > policy.maxBytes) {
+      add('TOO_MANY_BYTES', `Password must be at most ${policy.maxBytes} bytes`, policy.maxBytes);
+    }
+    if (policy.rejectBreached && this.breachChecker && this.breachChecker.isBreached(password)) {
+      add('BREACHED', 'Password appears in a known data breach');
+    }
+
+    // Bytes that are not UTF-8 only have a byte length to check
+    if (text === null) {
+      return { valid: violations.length === 0, violations };
+    }
+
+    const chars = Array.from(text);
+    if (chars.length < policy.minLength) {
+      add('TOO_SHORT', `Password must be at least ${policy.minLength} characters`, policy.minLength);
+    }
+    if (chars.length > policy.maxLength) {
+      add('TOO_LONG', `Password must be at most ${policy.maxLength} characters`, policy.maxLength);
+    }
+
+    let classes = 0;
+    for (const { option, code, pattern, name } of CHARACTER_CLASSES) {
+      const present = pattern.test(text);
+      classes += present ? 1 : 0;
+      if (policy[option] && !present) {
+        add(code, `Password must contain ${name}`);
+      }
+    }
+    if (classes < policy.minCharacterClasses) {
+      add('TOO_FEW_CHARACTER_CLASSES',
+        `Password must mix at least ${policy.minCharacterClasses} of lowercase, uppercase, digits and symbols`,
+        policy.minCharacterClasses);
+    }
+
+    const lower = text.toLowerCase();
+    if (policy.bannedWords.some(word => word && lower.includes(word.toLowerCase()))) {
+      add('BANNED_WORD', 'Password contains a banned word');
+    }
+    if (policy.contextWords && this._contextWords(context).some(word => lower.includes(word))) {
+      add('CONTAINS_CONTEXT_WORD', 'Password contains the username, email or another personal word');
+    }
+
+    if (policy.maxRepeated > 0 && this._longestRun(chars, (prev, next) => prev === next) > policy.maxRepeated) {
+      add('REPEATED_CHARACTERS', `Password repeats a character more than ${policy.maxRepeated} times in a row`, policy.maxRepeated);
+    }
+    if (policy.maxSequential > 0 && this._longestSequence(lower) > policy.maxSequential) {
+      add('SEQUENTIAL_CHARACTERS', `Password has a sequence (like abcd or 4321) longer than ${policy.maxSequential}`, policy.maxSequential);
+    }
+
+    return { valid: violations.length === 0, violations };
+  }
+
+  /**
+   * Throw PasswordPolicyError listing every violation, if there are any
+   */
+  enforce(password, context = {}) {
+    const { valid, violations } = this.check(password, context);
+    if (!valid) {
+      throw new PasswordPolicyError(violations);
+    }
+  }
+
+  /**
+   * Password as a string, or null for bytes that are not valid UTF-8
+   */
+  _decode(password) {
+    if (typeof password !== 'string' && !(password instanceof Uint8Array)) {
+      throw new Error('Password must be a string or Uint8Array');
+    }
+    if (password.length < 1) {
+      throw new Error('Password cannot be empty');
+    }
+    if (typeof password === 'string') {
+      return password;
+    }
+    try {
+      return utf8.decode(password);
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Lowercased username, its parts, the email's local part and its domain
+   * name without the top-level domain, plus any caller words
+   */
+  _contextWords({ username = null, email = null, words = [] } = {}) {
+    const candidates = [...words];
+    if (username) {
+      candidates.push(username, ...username.split(/[^\p{L}\p{N}]+/u));
+    }
+    if (email) {
+      const [local, domain = ''] = email.split('@');
+      candidates.push(local, ...local.split(/[^\p{L}\p{N}]+/u), ...domain.split('.').slice(0, -1));
+    }
+    return candidates
+      .map(word => String(word).toLowerCase())
+      .filter(word => Array.from(word).length >= MIN_CONTEXT_WORD_LENGTH);
+  }
+
+  _longestRun(chars, continues) {
+    let longest = chars.length > 0 ? 1 : 0;
+    let run = longest;
+    for (let i = 1; i < chars.length; i++) {
+      run = continues(chars[i - 1], chars[i]) ? run + 1 : 1;
+      longest = Math.max(longest, run);
+    }
+    return longest;
+  }
+
+  /**
+   * Longest ascending or descending run of ASCII letters or digits
+   */
+  _longestSequence(lower) {
+    let longest = 0;
+    for (const step of [1, -1]) {
+      longest = Math.max(longest, this._longestRun(Array.from(lower), (prev, next) =>
+        /[a-z0-9]/.test(prev) && /[a-z0-9]/.test(next) &&
+        next.codePointAt(0) - prev.codePointAt(0) === step &&
+        /\d/.test(prev) === /\d/.test(next)));
+    }
+    return longest;
+  }
+}
+
+export default new PasswordPolicy();
@@ -0,0 +1,214 @@
+/**
+ * HMAX-SECURE Worker Pool
+ * Bounded pool of KDF worker threads with queue backpressure
+ */
+
+import { Worker } from 'node:worker_threads';
+import config from './config.js';
+import { OverloadedError } from './errors.js';
+
+const WORKER_URL = new URL('./worker.js', import.meta.url);
+
+export class WorkerPool {
+  constructor(cfg = config) {
+    this.config = cfg;
+    this.workers = new Set();
+    this.idle = [];
+    this.busy = new Map(); // worker -> task
+    this.queue = [];
+    this.nextId = 1;
+    this.closed = false;
+    this.stats = { completed: 0, failed: 0, rejected: 0 };
+  }
+
+  /**
+   * Whether derivations should be sent to the pool
+   */
+  isEnabled() {
+    return this.config.getConfig().workers.enabled;
+  }
+
+  /**
+   * Run a KDF derivation on a worker thread.
+   * Only the HMAC layer output reaches the worker, never the secrets.
+   * An aborted signal drops a queued task or terminates the worker running it.
+   */
+  derive(algorithm, input, salt, options, signal = null) {
+    if (this.closed) {
+      return Promise.reject(new Error('Worker pool is closed'));
+    }
+
+    const { size, maxQueue } = this.config.getConfig().workers;
+
+    return new Promise((resolve, reject) => {
+      const onAbort = () => this._abort(task, signal.reason);
+      // Long-lived signals (e.g. one per server) must not collect a listener per task
+      const settle = (callback) => (value) => {
+        if (signal) {
+          signal.removeEventListener('abort', onAbort);
+        }
+        callback(value);
+      };
+      const task = {
+        message: { id: this.nextId++, algorithm, input, salt, options },
+        resolve: settle(resolve),
+        reject: settle(reject)
+      };
+
+      if (signal) {
+        signal.addEventListener('abort', onAbort, { once: true });
+      }
+
+      const worker = this._acquire(size);
+      if (worker) {
+        this._dispatch(worker, task);
+        return;
+      }
+
+      if (this.queue.length >= maxQueue) {
+        this.stats.rejected++;
+        task.reject(new OverloadedError());
+        return;
+      }
+
+      this.queue.push(task);
+    });
+  }
+
+  /**
+   * Idle worker, a newly spawned one if below size, or null
+   */
+  _acquire(size) {
+    if (this.idle.length > 0) {
+      return this.idle.pop();
+    }
+    if (this.workers.size < size) {
+      return this._spawn();
+    }
+    return null;
+  }
+
+  _spawn() {
+    const worker = new Worker(WORKER_URL);
+    worker.on('message', (message) => this._onMessage(worker, message));
+    worker.on('error', (error) => this._onFailure(worker, error));
+    worker.on('exit', (code) => {
+      if (this.workers.has(worker)) {
+        this._onFailure(worker, new Error(`KDF worker exited with code ${code}`));
+      }
+    });
+    this.workers.add(worker);
+    return worker;
+  }
+
+  _dispatch(worker, task) {
+    this.busy.set(worker, task);
+    // Keep the process alive only while a worker has work
+    worker.ref();
+    worker.postMessage(task.message);
+  }
+
+  _onMessage(worker, { error, key }) {
+    const task = this.busy.get(worker);
+    this.busy.delete(worker);
+
+    if (error) {
+      this.stats.failed++;
+      task.reject(new Error(error));
+    } else {
+      this.stats.completed++;
+      task.resolve(Buffer.from(key));
+    }
+
+    this._release(worker);
+  }
+
+  /**
+   * Hand the worker the next queued task or park it as idle
+   */
+  _release(worker) {
+    const next = this.queue.shift();
+    if (next) {
+      this._dispatch(worker, next);
+      return;
+    }
+    worker.unref();
+    this.idle.push(worker);
+  }
+
+  /**
+   * Drop a crashed worker, fail its task and keep the queue moving
+   */
+  _onFailure(worker, error) {
+    this.workers.delete(worker);
+    this.idle = this.idle.filter((w) => w !== worker);
+
+    const task = this.busy.get(worker);
+    if (task) {
+      this.busy.delete(worker);
+      this.stats.failed++;
+      task.reject(error);
+    }
+    worker.terminate();
+
+    if (!this.closed && this.queue.length > 0) {
+      this._dispatch(this._spawn(), this.queue.shift());
+    }
+  }
+
+  _abort(task, reason) {
+    if (this.queue.includes(task)) {
+      this.queue = this.queue.filter((t) => t !== task);
+      task.reject(reason);
+      return;
+    }
+
+    for (const [worker, running] of this.busy) {
+      if (running === task) {
+        this._onFailure(worker, reason);
+        return;
+      }
+    }
+  }
+
+  /**
+   * Pool statistics
+   */
+  getStats() {
+    const { enabled, size, maxQueue } = this.config.getConfig().workers;
+    return {
+      enabled,
+      size,
+      maxQueue,
+      threads: this.workers.size,
+      busy: this.busy.size,
+      idle: this.idle.length,
+      queued: this.queue.length,
+      ...this.stats
+    };
+  }
+
+  /**
+   * Terminate all workers and reject queued derivations
+   */
+  async close() {
+    this.closed = true;
+
+    for (const task of this.queue.splice(0)) {
+      task.reject(new Error('Worker pool is closed'));
+    }
+
+    const workers = [...this.workers];
+    this.workers.clear();
+    this.idle = [];
+    for (const [, task] of this.busy) {
+      task.reject(new Error('Worker pool is closed'));
+    }
+    this.busy.clear();
+
+    await Promise.all(workers.map((worker) => worker.terminate()));
+
+    // Later derivations start fresh workers
+    this.closed = false;
+  }
+}
@@ -0,0 +1,257 @@
+/**
+ * HMAX-SECURE KDF Scheduler
+ * Memory and concurrency budget for a hasher's key derivations
+ */
+
+import config from './config.js';
+import { OverloadedError, BudgetExceededError, TimeoutError, AbortError } from './errors.js';
+
+export class KdfScheduler {
+  constructor(cfg = config) {
+    this.config = cfg;
+    this.memoryInUse = 0; // KiB
+    this.running = 0;
+    this.waiting = [];
+    this.stats = { completed: 0, rejected: 0, timedOut: 0, aborted: 0 };
+  }
+
+  /**
+   * Signal for one API call: fires when the caller aborts or the timeout elapses.
+   * Call clear() once the call is done.
+   */
+  deadline({ signal = null, timeout } = {}) {
+    const ms = timeout ?? this.config.getConfig().limits.timeout;
+    const controller = new AbortController();
+    let timer = null;
+
+    const onAbort = () => controller.abort(new AbortError());
+    if (signal) {
+      if (signal.aborted) {
+        onAbort();
+      } else {
+        signal.addEventListener('abort', onAbort, { once: true });
+      }
+    }
+
+    if (ms > 0 && !controller.signal.aborted) {
+      timer = setTimeout(() => controller.abort(new TimeoutError(`HMAX-SECURE operation timed out after ${ms}ms`)), ms);
+      timer.unref();
+    }
+
+    return {
+      signal: controller.signal,
+      clear: () => {
+        clearTimeout(timer);
+        if (signal) {
+          signal.removeEventListener('abort', onAbort);
+        }
+      }
+    };
+  }
+
+  /**
+   * Run task(signal) once its memory fits the budget.
+   * The reservation is held until the task itself settles, even if the
+   * caller has already been rejected by a timeout or abort.
+   */
+  async run(memory, task, signal = null) {
+    try {
+      this._throwIfAborted(signal);
+      await this._acquire(memory, signal);
+    } catch (error) {
+      this._count(error);
+      throw error;
+    }
+
+    const work = new Promise((resolve) => resolve(task(signal)));
+    work.then(() => this._release(memory), () => this._release(memory));
+
+    try {
+      const result = await (signal ? this._raceAbort(work, signal) : work);
+      this.stats.completed++;
+      return result;
+    } catch (error) {
+      this._count(error);
+      throw error;
+    }
+  }
+
+  /**
+   * Deadline for one sync call. remaining() returns the ms left (0 = no limit)
+   * and throws once the time is up or the signal has been aborted.
+   */
+  deadlineSync({ signal = null, timeout } = {}) {
+    const ms = timeout ?? this.config.getConfig().limits.timeout;
+    const end = ms > 0 ? Date.now() + ms : null;
+
+    return {
+      remaining: () => {
+        if (signal && signal.aborted) {
+          throw new AbortError();
+        }
+        if (end === null) {
+          return 0;
+        }
+        const left = end - Date.now();
+        if (left <= 0) {
+          throw new TimeoutError(`HMAX-SECURE operation timed out after ${ms}ms`);
+        }
+        return left;
+      }
+    };
+  }
+
+  /**
+   * Run task(remainingMs) synchronously if its memory fits the budget now.
+   * A sync caller cannot wait its turn, so a busy budget fails fast.
+   */
+  runSync(memory, task, deadline = null) {
+    let remaining = 0;
+    try {
+      remaining = deadline ? deadline.remaining() : 0;
+      this._checkBudget(memory);
+      if (this.waiting.length > 0 || !this._fits(memory)) {
+        throw this._overloaded();
+      }
+      this._reserve(memory);
+    } catch (error) {
+      this._count(error);
+      throw error;
+    }
+
+    try {
+      const result = task(remaining);
+      this.stats.completed++;
+      return result;
+    } catch (error) {
+      this._count(error);
+      throw error;
+    } finally {
+      this._release(memory);
+    }
+  }
+
+  _acquire(memory, signal) {
+    const { maxWaiting } = this.config.getConfig().limits;
+
+    this._checkBudget(memory);
+
+    // First come, first served: nobody jumps ahead of a waiting call
+    if (this.waiting.length === 0 && this._fits(memory)) {
+      this._reserve(memory);
+      return Promise.resolve();
+    }
+
+    if (this.waiting.length >= maxWaiting) {
+      throw this._overloaded();
+    }
+
+    return new Promise((resolve, reject) => {
+      const waiter = { memory, resolve, reject, signal, onAbort: null };
+
+      if (signal) {
+        waiter.onAbort = () => {
+          this.waiting = this.waiting.filter((w) => w !== waiter);
+          reject(signal.reason);
+          this._drain();
+        };
+        signal.addEventListener('abort', waiter.onAbort, { once: true });
+      }
+
+      this.waiting.push(waiter);
+    });
+  }
+
+  _checkBudget(memory) {
+    const { maxMemory } = this.config.getConfig().limits;
+    if (memory > maxMemory) {
+      throw new BudgetExceededError(`Derivation needs ${memory} KiB but the memory budget is ${maxMemory} KiB`);
+    }
+  }
+
+  _overloaded() {
+    const { maxMemory, maxConcurrent } = this.config.getConfig().limits;
+    return new OverloadedError(
+      `HMAX-SECURE is overloaded: ${this.running}/${maxConcurrent} derivations running, ` +
+      `${this.memoryInUse}/${maxMemory} KiB in use`
+    );
+  }
+
+  _fits(memory) {
+    const { maxMemory, maxConcurrent } = this.config.getConfig().limits;
+    return this.running < maxConcurrent && this.memoryInUse + memory <= maxMemory;
+  }
+
+  _reserve(memory) {
+    this.running++;
+    this.memoryInUse += memory;
+  }
+
+  _release(memory) {
+    this.running--;
+    this.memoryInUse -= memory;
+    this._drain();
+  }
+
+  /**
+   * Start waiting calls, in order, while they fit
+   */
+  _drain() {
+    while (this.waiting.length > 0 && this._fits(this.waiting[0].memory)) {
+      const waiter = this.waiting.shift();
+      if (waiter.signal) {
+        waiter.signal.removeEventListener('abort', waiter.onAbort);
+      }
+      this._reserve(waiter.memory);
+      waiter.resolve();
+    }
+  }
+
+  _raceAbort(work, signal) {
+    return new Promise((resolve, reject) => {
+      const onAbort = () => reject(signal.reason);
+      if (signal.aborted) {
+        onAbort();
+        return;
+      }
+      signal.addEventListener('abort', onAbort, { once: true });
+      work.then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort));
+    });
+  }
+
+  _throwIfAborted(signal) {
+    if (signal && signal.aborted) {
+      throw signal.reason;
+    }
+  }
+
+  _count(error) {
+    if (error instanceof TimeoutError) {
+      this.stats.timedOut++;
+    } else if (error instanceof AbortError) {
+      this.stats.aborted++;
+    } else if (error instanceof OverloadedError || error instanceof BudgetExceededError) {
+      this.stats.rejected++;
+    }
+  }
+
+  /**
+   * Scheduler statistics
+   */
+  getStats() {
+    const { maxMemory, maxConcurrent, maxWaiting, timeout } = this.config.getConfig().limits;
+    return {
+      maxMemory,
+      maxConcurrent,
+      maxWaiting,
+      timeout,
+      memoryInUse: this.memoryInUse,
+      running: this.running,
+      waiting: this.waiting.length,
+      ...this.stats
+    };
+  }
+}
+
+// Budget of the default instance; other hashers build their own from their configuration
+export default new KdfScheduler();
@@ -0,0 +1,86 @@
+/**
+ * HMAX-SECURE scrypt Implementation
+ * Memory-hard key derivation with configurable N, r, p
+ */
+
+import { scrypt, scryptSync } from "node:crypto";
+import { promisify } from "node:util";
+import config from "./config.js";
+
+const scryptAsync = promisify(scrypt);
+
+/**
+ * Bytes of working memory scrypt allocates for N, r, p
+ */
+export function scryptMemory(cost, blockSize, parallelization) {
+  return 128 * blockSize * (cost + parallelization + 2);
+}
+
+export class ScryptKDF {
+  constructor(cfg = config) {
+    this.config = cfg;
+  }
+
+  /**
+   * scrypt key derivation (async)
+   */
+  async deriveKey(password, salt, options = {}) {
+    const params = this._resolveParams(options);
+    this._validateParams(params);
+
+    const { cost, blockSize, parallelization, maxmem, keyLength } = params;
+    return scryptAsync(password, salt, keyLength, { cost, blockSize, parallelization, maxmem });
+  }
+
+  /**
+   * scrypt key derivation (sync)
+   */
+  deriveKeySync(password, salt, options = {}) {
+    const params = this._resolveParams(options);
+    this._validateParams(params);
+
+    const { cost, blockSize, parallelization, maxmem, keyLength } = params;
+    return scryptSync(password, salt, keyLength, { cost, blockSize, parallelization, maxmem });
+  }
+
+  _resolveParams(options) {
+    const cfg = this.config.getConfig();
+    const {
+      cost = cfg.scrypt.cost,
+      blockSize = cfg.scrypt.blockSize,
+      parallelization = cfg.scrypt.parallelization,
+      maxmem = cfg.scrypt.maxmem,
+      keyLength = 64
+    } = options;
+
+    return { cost, blockSize, parallelization, maxmem, keyLength };
+  }
+
+  /**
+   * Validate scrypt parameters
+   */
+  _validateParams({ cost, blockSize, parallelization, maxmem, keyLength }) {
+    if (!Number.isInteger(cost) || cost < 1024 || cost > 4194304 || (cost & (cost - 1)) !== 0) {
+      throw new Error("scrypt cost must be a power of two between 1024 and 4194304");
+    }
+
+    if (!Number.isInteger(blockSize) || blockSize < 1 || blockSize > 32) {
+      throw new Error("scrypt blockSize must be between 1 and 32");
+    }
+
+    if (!Number.isInteger(parallelization) || parallelization < 1 || parallelization > 16) {
+      throw new Error("scrypt parallelization must be between 1 and 16");
+    }
+
+    if (keyLength < 16 || keyLength > 128) {
+      throw new Error("Key length must be between 16 and 128 bytes");
+    }
+
+    const needed = scryptMemory(cost, blockSize, parallelization);
+    if (needed > maxmem) {
+      throw new Error(`scrypt parameters need ${needed} bytes, above scrypt.maxmem (${maxmem})`);
+    }
+  }
+}
+
+export default new ScryptKDF();
@@ -0,0 +1,88 @@
+/**
+ * HMAX-SECURE Outer Seal Layer
+ * AES-256-GCM over the KDF output, re-keyable without the password
+ */
+
+import { createCipheriv, createDecipheriv, createHmac, randomBytes } from 'node:crypto';
+
+const SEAL_ALGORITHM = 'aes-256-gcm';
+const NONCE_LENGTH = 12;
+const TAG_LENGTH = 16;
+
+class HMaxSeal {
+  /**
+   * Encrypt a derived key under a master secret
+   * Output: nonce || ciphertext || tag
+   */
+  seal(derivedKey, secret, context) {
+    const nonce = randomBytes(NONCE_LENGTH);
+    const cipher = createCipheriv(SEAL_ALGORITHM, this._deriveKey(secret), nonce, {
+      authTagLength: TAG_LENGTH
+    });
+    cipher.setAAD(Buffer.from(context));
+
+    const ciphertext = Buffer.concat([cipher.update(derivedKey), cipher.final()]);
+    return Buffer.concat([nonce, ciphertext, cipher.getAuthTag()]);
+  }
+
+  /**
+   * Decrypt a sealed derived key, failing if it was tampered with
+   * or sealed under a different secret
+   */
+  open(sealed, secret, context) {
+    if (sealed.length <= this.getOverhead()) {
+      throw new Error('Sealed hash too short');
+    }
+
+    const nonce = sealed.subarray(0, NONCE_LENGTH);
+    const ciphertext = sealed.subarray(NONCE_LENGTH, sealed.length - TAG_LENGTH);
+    const tag = sealed.subarray(sealed.length - TAG_LENGTH);
+
+    const decipher = createDecipheriv(SEAL_ALGORITHM, this._deriveKey(secret), nonce, {
+      authTagLength: TAG_LENGTH
+    });
+    decipher.setAAD(Buffer.from(context));
+    decipher.setAuthTag(tag);
+
+    try {
+      return Buffer.concat([decipher.update(ciphertext), decipher.final()]);
+    } catch {
+      throw new Error('Seal authentication failed: hash tampered with or sealed under a different secret');
+    }
+  }
+
+  /**
+   * Move a sealed derived key from one secret to another
+   */
+  reseal(sealed, oldSecret, newSecret, context) {
+    const derivedKey = this.open(sealed, oldSecret, context);
+    try {
+      return this.seal(derivedKey, newSecret, context);
+    } finally {
+      derivedKey.fill(0);
+    }
+  }
+
+  /**
+   * Bytes added to the derived key by sealing
+   */
+  getOverhead() {
+    return NONCE_LENGTH + TAG_LENGTH;
+  }
+
+  /**
+   * Seal algorithm identifier recorded in the hash
+   */
+  getAlgorithm() {
+    return SEAL_ALGORITHM;
+  }
+
+  /**
+   * Derive the 256-bit seal key from a master secret
+   */
+  _deriveKey(secret) {
+    return createHmac('sha256', secret).update('hmax-seal-v1').digest();
+  }
+}
+
+export default new HMaxSeal();
@@ -3,12 +3,19 @@
  * Military-grade secret rotation and management
  */
 
+import { randomBytes } from 'node:crypto';
 import config from './config.js';
 import timingSafeEqual from './timing.js';
+import { deriveSubkey } from './keys.js';
 
-class SecretManager {
-  constructor() {
+// Secret IDs are stored inside encoded hashes, so they must be `$`-free
+const SECRET_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+export class SecretManager {
+  constructor(cfg = config) {
+    this.config = cfg;
     this.secrets = new Map();
+    this.peppers = new Map();
     this.rotationCallbacks = new Set();
   }
 
@@ -16,21 +23,25 @@ class SecretManager {
    * Initialize secrets from configuration
    */
   initialize() {
-    const { secrets } = config.getConfig();
+    const { secrets } = this.config.getConfig();
     
     if (secrets.currentSecret) {
       this.setCurrentSecret(secrets.currentSecret);
     }
     
-    secrets.previousSecrets.forEach((secret, index) => {
-      this.addPreviousSecret(secret, index);
+    secrets.previousSecrets.forEach((entry) => {
+      if (entry instanceof Uint8Array) {
+        this.addPreviousSecret(entry);
+      } else {
+        this.addPreviousSecret(entry.secret, entry.id);
+      }
     });
   }
 
   /**
    * Set current primary secret
    */
-  setCurrentSecret(secret) {
+  setCurrentSecret(secret, id = null) {
     if (!(secret instanceof Uint8Array)) {
       throw new Error('Secret must be a Uint8Array');
     }
@@ -39,7 +50,7 @@ class SecretManager {
       throw new Error('Secret must be at least 32 bytes');
     }
 
-    const secretId = this._generateSecretId();
+    const secretId = this._validateSecretId(id || this._generateRandomId('sec'));
     this.secrets.set('current', { id: secretId, secret, timestamp: Date.now() });
     
     return secretId;
@@ -53,7 +64,7 @@ class SecretManager {
       throw new Error('Secret must be a Uint8Array');
     }
 
-    const secretId = id || this._generateSecretId();
+    const secretId = this._validateSecretId(id || this._generateRandomId('sec'));
     this.secrets.set(secretId, { id: secretId, secret, timestamp: Date.now() });
     
     return secretId;
@@ -79,7 +90,7 @@ class SecretManager {
     this._trimOldSecrets();
 
     // Notify rotation listeners
-    this._notifyRotation(newId, current.id);
+    this._notifyRotation(newId, current.id, 'secret');
 
     return newId;
   }
@@ -95,6 +106,62 @@ class SecretManager {
     return current.secret;
   }
 
+  /**
+   * Whether a current secret is registered
+   */
+  hasCurrentSecret() {
+    return this.secrets.has('current');
+  }
+
+  /**
+   * Get current secret ID
+   */
+  getCurrentSecretId() {
+    const current = this.secrets.get('current');
+    if (!current) {
+      throw new Error('No current secret set');
+    }
+    return current.id;
+  }
+
+  /**
+   * Get a secret (current or previous) by its ID
+   */
+  getSecretById(id) {
+    const current = this.secrets.get('current');
+    if (current && current.id === id) {
+      return current.secret;
+    }
+
+    const previous = id !== 'current' ? this.secrets.get(id) : null;
+    return previous ? previous.secret : null;
+  }
+
+  /**
+   * HKDF-SHA512 subkey of the current secret (or the secret with `keyId`)
+   * for one of the fixed purposes in keys.js; rotates with the secret
+   */
+  deriveSubkey(purpose, context = '', keyId = null) {
+    const secret = keyId ? this.getSecretById(keyId) : this.getCurrentSecret();
+    if (!secret) {
+      throw new Error(`Unknown secret key ID: ${keyId}`);
+    }
+    return deriveSubkey(secret, purpose, context);
+  }
+
+  /**
+   * Get all valid secrets with their IDs, current first, then newest previous
+   */
+  getSecretEntries() {
+    return Array.from(this.secrets.entries())
+      .sort(([keyA, a], [keyB, b]) => {
+        if (keyA === 'current') return -1;
+        if (keyB === 'current') return 1;
+        return b.timestamp - a.timestamp;
+      })
+      .map(([, { id, secret }]) => ({ id, secret }));
+  }
+
   /**
    * Get all valid secrets (current + previous)
    */
@@ -106,6 +173,84 @@ class SecretManager {
     return secrets;
   }
 
+  /**
+   * Set current pepper
+   */
+  setCurrentPepper(pepper, id = null) {
+    this._validatePepper(pepper);
+
+    const pepperId = this._validateSecretId(id || this._generateRandomId('pep'));
+    this.peppers.set('current', { id: pepperId, secret: pepper, timestamp: Date.now() });
+
+    return pepperId;
+  }
+
+  /**
+   * Add a previous pepper for rotation
+   */
+  addPreviousPepper(pepper, id = null) {
+    this._validatePepper(pepper);
+
+    const pepperId = this._validateSecretId(id || this._generateRandomId('pep'));
+    this.peppers.set(pepperId, { id: pepperId, secret: pepper, timestamp: Date.now() });
+
+    return pepperId;
+  }
+
+  /**
+   * Rotate peppers - move current to previous, set new current
+   */
+  rotatePeppers(newPepper) {
+    const current = this.peppers.get('current');
+    if (!current) {
+      throw new Error('No current pepper set');
+    }
+
+    this.peppers.delete('current');
+    this.addPreviousPepper(current.secret, current.id);
+
+    const newId = this.setCurrentPepper(newPepper);
+
+    this._trimOldSecrets(this.peppers);
+    this._notifyRotation(newId, current.id, 'pepper');
+
+    return newId;
+  }
+
+  /**
+   * Get current pepper ID, or null when no pepper is registered
+   */
+  getCurrentPepperId() {
+    const current = this.peppers.get('current');
+    return current ? current.id : null;
+  }
+
+  /**
+   * Get a pepper (current or previous) by its ID
+   */
+  getPepperById(id) {
+    const current = this.peppers.get('current');
+    if (current && current.id === id) {
+      return current.secret;
+    }
+
+    const previous = id !== 'current' ? this.peppers.get(id) : null;
+    return previous ? previous.secret : null;
+  }
+
+  /**
+   * ID recorded for a pepper passed to a call: its ID when registered,
+   * else a fresh random one (never derived from the pepper itself)
+   */
+  getPepperId(pepper) {
+    for (const { id, secret } of this.peppers.values()) {
+      if (secret.length === pepper.length && timingSafeEqual.bufferEqual(Buffer.from(secret), Buffer.from(pepper))) {
+        return id;
+      }
+    }
+    return this._generateRandomId('pep');
+  }
+
   /**
    * Find which secret was used for a hash
    */
@@ -140,25 +285,49 @@ class SecretManager {
   }
 
   /**
-   * Generate a unique secret ID
+   * Random ID for a secret or pepper registered without one; the caller
+   * stores it alongside the key material
+   */
+  _generateRandomId(prefix) {
+    return `${prefix}_${randomBytes(8).toString('hex')}`;
+  }
+
+  /**
+   * Validate a pepper value
+   */
+  _validatePepper(pepper) {
+    if (!(pepper instanceof Uint8Array)) {
+      throw new Error('Pepper must be a Uint8Array');
+    }
+
+    if (pepper.length < 16) {
+      throw new Error('Pepper must be at least 16 bytes');
+    }
+  }
+
+  /**
+   * Validate a caller-supplied secret ID
    */
-  _generateSecretId() {
-    return `sec_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  _validateSecretId(id) {
+    if (typeof id !== 'string' || !SECRET_ID_PATTERN.test(id) || id === 'current') {
+      throw new Error('Secret ID must be 1-64 characters of [A-Za-z0-9_-]');
+    }
+    return id;
   }
 
   /**
    * Trim old secrets based on configuration
    */
-  _trimOldSecrets() {
-    const { maxPreviousSecrets } = config.getConfig().secrets;
-    const previousSecrets = Array.from(this.secrets.entries())
+  _trimOldSecrets(store = this.secrets) {
+    const { maxPreviousSecrets } = this.config.getConfig().secrets;
+    const previousSecrets = Array.from(store.entries())
       .filter(([key]) => key !== 'current')
       .sort(([,a], [,b]) => b.timestamp - a.timestamp);
 
     // Remove excess secrets
     if (previousSecrets.length > maxPreviousSecrets) {
       for (let i = maxPreviousSecrets; i < previousSecrets.length; i++) {
-        this.secrets.delete(previousSecrets[i][0]);
+        store.delete(previousSecrets[i][0]);
       }
     }
   }
@@ -166,10 +335,10 @@ class SecretManager {
   /**
    * Notify about secret rotation
    */
-  _notifyRotation(newSecretId, oldSecretId) {
+  _notifyRotation(newSecretId, oldSecretId, kind) {
     for (const callback of this.rotationCallbacks) {
       try {
-        callback(newSecretId, oldSecretId);
+        callback(newSecretId, oldSecretId, kind);
       } catch (error) {
         // Don't let one callback break others
         console.error('Secret rotation callback error:', error);
@@ -178,7 +347,7 @@ class SecretManager {
   }
 
   /**
-   * Register for secret rotation events
+   * Register for rotation events; callback(newId, oldId, kind) where kind is 'secret' or 'pepper'
    */
   onRotation(callback) {
     this.rotationCallbacks.add(callback);
@@ -190,6 +359,7 @@ class SecretManager {
    */
   clear() {
     this.secrets.clear();
+    this.peppers.clear();
   }
 }
 
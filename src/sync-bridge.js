@@ -0,0 +1,105 @@
+/**
+ * HMAX-SECURE Sync Bridge
+ * Runs async-only derivations (Argon2id) on a worker thread while the
+ * calling thread blocks on Atomics.wait
+ */
+
+import { Worker, MessageChannel, receiveMessageOnPort } from 'node:worker_threads';
+import { HMaxError, TimeoutError } from './errors.js';
+
+const WORKER_URL = new URL('./worker.js', import.meta.url);
+
+// Shared state slots, written by the worker (see worker.js)
+const REPLIED = 0;
+const EXITED = 1;
+
+// The worker's exit hook notifies the caller, but a crash between the caller's
+// checks could still be missed: never block longer than this between checks
+const WAIT_SLICE = 50;
+
+export class SyncBridge {
+  constructor() {
+    this.worker = null;
+    this.port = null;
+    this.state = null; // Int32Array over shared memory: [REPLIED, EXITED] flags
+    this.nextId = 1;
+  }
+
+  /**
+   * Derive on the bridge worker and block until it replies.
+   * After `timeout` ms (0 = none) the worker is terminated and TimeoutError thrown.
+   * If the worker dies first, HMaxError (HMAX_WORKER_FAILED) is thrown: its
+   * 'error' and 'exit' events cannot run while this thread is blocked.
+   * Only the HMAC layer output reaches the worker, never the secrets.
+   */
+  deriveSync(algorithm, input, salt, options, timeout = 0) {
+    this._ensureWorker();
+
+    const { state } = this;
+    Atomics.store(state, REPLIED, 0);
+    this.port.postMessage({ id: this.nextId++, algorithm, input, salt, options });
+
+    const deadline = timeout > 0 ? Date.now() + timeout : Infinity;
+    while (Atomics.load(state, REPLIED) === 0) {
+      if (Atomics.load(state, EXITED) === 1) {
+        this.close();
+        throw new HMaxError('HMAX-SECURE sync bridge worker exited before replying', 'HMAX_WORKER_FAILED');
+      }
+      const remaining = deadline - Date.now();
+      if (remaining <= 0) {
+        // The worker is still deriving: drop it, the next call starts a fresh one
+        this.close();
+        throw new TimeoutError('HMAX-SECURE operation timed out');
+      }
+      Atomics.wait(state, REPLIED, 0, Math.min(remaining, WAIT_SLICE));
+    }
+
+    const { message } = receiveMessageOnPort(this.port);
+    if (message.error) {
+      throw new Error(message.error);
+    }
+    return Buffer.from(message.key);
+  }
+
+  _ensureWorker() {
+    if (this.worker && Atomics.load(this.state, EXITED) === 0) {
+      return;
+    }
+    // A worker that died between calls is replaced
+    this.close();
+
+    const { port1, port2 } = new MessageChannel();
+    this.state = new Int32Array(new SharedArrayBuffer(8));
+    const worker = new Worker(WORKER_URL, {
+      workerData: { port: port2, state: this.state },
+      transferList: [port2]
+    });
+    // The event can arrive after a replacement worker has started
+    worker.on('error', () => {
+      if (this.worker === worker) {
+        this.close();
+      }
+    });
+    // Never keep the process alive: the caller is blocked while work is pending
+    worker.unref();
+    this.worker = worker;
+    this.port = port1;
+    this.port.unref();
+  }
+
+  /**
+   * Terminate the bridge worker
+   */
+  async close() {
+    const { worker, port } = this;
+    this.worker = null;
+    this.port = null;
+
+    if (port) {
+      port.close();
+    }
+    if (worker) {
+      await worker.terminate();
+    }
+  }
+}
@@ -0,0 +1,177 @@
+/**
+ * HMAX-SECURE Token Service
+ * Compact HMAC-signed, expiring, single-use tokens (password reset, email verification)
+ */
+
+import { createHmac, randomBytes } from 'node:crypto';
+import config from './config.js';
+import secretManager from './secrets.js';
+import timing from './timing.js';
+import { deriveSubkey } from './keys.js';
+
+// Token layout: hmt1.<keyId>.<payload>.<signature>, base64url, safe in URLs
+const TOKEN_PREFIX = 'hmt1';
+const NONCE_LENGTH = 16;
+const PURPOSE_PATTERN = /^[a-z0-9][a-z0-9_-]{0,63}$/;
+
+/**
+ * In-process store of consumed nonces, forgotten once their token expires.
+ * Use a shared store (e.g. Redis SET NX) when several processes verify tokens.
+ */
+export class MemoryTokenStore {
+  constructor() {
+    this.consumed = new Map();
+  }
+
+  /**
+   * Mark a nonce as used; false if it already was
+   */
+  consume(nonce, expiresAt) {
+    this._purge();
+    if (this.consumed.has(nonce)) {
+      return false;
+    }
+    this.consumed.set(nonce, expiresAt);
+    return true;
+  }
+
+  _purge() {
+    const now = Date.now();
+    for (const [nonce, expiresAt] of this.consumed) {
+      if (expiresAt <= now) {
+        this.consumed.delete(nonce);
+      }
+    }
+  }
+}
+
+export class TokenService {
+  constructor({ config: cfg = config, secretManager: secrets = secretManager, store = null } = {}) {
+    this.config = cfg;
+    this.secretManager = secrets;
+    this.setStore(store);
+  }
+
+  /**
+   * Use `store` ({ consume(nonce, expiresAt) -> boolean | Promise<boolean> })
+   * to make tokens single-use; without one they are valid until they expire
+   */
+  setStore(store) {
+    if (store !== null && typeof store?.consume !== 'function') {
+      throw new Error('Token store must implement consume(nonce, expiresAt)');
+    }
+    this.store = store;
+  }
+
+  /**
+   * Issue a token for `subject` (e.g. user ID), usable only for `purpose`,
+   * expiring after `ttl` seconds
+   */
+  issueToken({ subject, purpose, ttl } = {}) {
+    const { tokens } = this.config.getConfig();
+    const lifetime = ttl ?? tokens.ttl;
+
+    if (typeof subject !== 'string' || subject.length === 0) {
+      throw new Error('Token subject must be a non-empty string');
+    }
+    this._validatePurpose(purpose);
+    if (!Number.isInteger(lifetime) || lifetime < 1 || lifetime > tokens.maxTtl) {
+      throw new Error(`Token ttl must be an integer between 1 and ${tokens.maxTtl} seconds`);
+    }
+
+    const keyId = this.secretManager.getCurrentSecretId();
+    const payload = Buffer.from(JSON.stringify({
+      sub: subject,
+      pur: purpose,
+      exp: Math.floor(Date.now() / 1000) + lifetime,
+      non: randomBytes(NONCE_LENGTH).toString('base64url')
+    })).toString('base64url');
+
+    const signed = [TOKEN_PREFIX, keyId, payload].join('.');
+    return `${signed}.${this._sign(keyId, purpose, signed).toString('base64url')}`;
+  }
+
+  /**
+   * Check a token's signature, purpose and expiry, then consume it in the store.
+   * Returns { valid: true, subject, purpose, expiresAt, keyId } or { valid: false, error }.
+   */
+  async verifyToken(token, { purpose, subject = null } = {}) {
+    this._validatePurpose(purpose);
+
+    const parsed = this._parse(token);
+    if (!parsed) {
+      return { valid: false, error: 'Malformed token' };
+    }
+
+    const { keyId, signed, signature, claims } = parsed;
+    const secret = this.secretManager.getSecretById(keyId);
+    if (!secret) {
+      return { valid: false, error: `Unknown secret key ID: ${keyId}` };
+    }
+
+    // The key is per purpose, so a token for another purpose fails here too
+    if (!timing.verifyHash(signature, this._sign(keyId, purpose, signed)) || claims.pur !== purpose) {
+      return { valid: false, error: 'Invalid token signature' };
+    }
+
+    const expiresAt = claims.exp * 1000;
+    if (expiresAt <= Date.now()) {
+      return { valid: false, error: 'Token expired' };
+    }
+    if (subject !== null && claims.sub !== subject) {
+      return { valid: false, error: 'Token subject mismatch' };
+    }
+    if (this.store && !(await this.store.consume(claims.non, expiresAt))) {
+      return { valid: false, error: 'Token already used' };
+    }
+
+    return { valid: true, subject: claims.sub, purpose, expiresAt: new Date(expiresAt), keyId };
+  }
+
+  _parse(token) {
+    if (typeof token !== 'string') {
+      return null;
+    }
+    const parts = token.split('.');
+    if (parts.length !== 4 || parts[0] !== TOKEN_PREFIX) {
+      return null;
+    }
+
+    let claims;
+    try {
+      claims = JSON.parse(Buffer.from(parts[2], 'base64url').toString('utf8'));
+    } catch {
+      return null;
+    }
+    if (!claims || typeof claims.sub !== 'string' || typeof claims.pur !== 'string' ||
+      !Number.isInteger(claims.exp) || typeof claims.non !== 'string') {
+      return null;
+    }
+
+    return {
+      keyId: parts[1],
+      signed: parts.slice(0, 3).join('.'),
+      signature: Buffer.from(parts[3], 'base64url'),
+      claims
+    };
+  }
+
+  /**
+   * HMAC-SHA256 under the `token` subkey of the secret, separated per purpose
+   */
+  _sign(keyId, purpose, data) {
+    const secret = this.secretManager.getSecretById(keyId);
+    if (!secret) {
+      throw new Error(`Unknown secret key ID: ${keyId}`);
+    }
+    return createHmac('sha256', deriveSubkey(secret, 'token', purpose)).update(data).digest();
+  }
+
+  _validatePurpose(purpose) {
+    if (typeof purpose !== 'string' || !PURPOSE_PATTERN.test(purpose)) {
+      throw new Error('Token purpose must be 1-64 characters of [a-z0-9_-]');
+    }
+  }
+}
+
+export default new TokenService();
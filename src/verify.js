@@ -3,134 +3,559 @@
  * Comprehensive hash verification with rotation support
  */
 
+import { randomBytes } from 'node:crypto';
 import hmac from './hmac.js';
-import argon2 from './argon2.js';
-import pbkdf2 from './pbkdf2.js';
 import timing from './timing.js';
 import encoder from './encode.js';
+import seal from './seal.js';
+import algorithms from './algorithms.js';
+import { legacyKdfs, legacyKdfOptions, legacyMinimums } from './legacy.js';
+import { normalizationFor } from './normalize.js';
 import config from './config.js';
 import secretManager from './secrets.js';
+import scheduler from './scheduler.js';
+import { HMaxError, MinimumParametersError, IntegrityError, InvalidHashError } from './errors.js';
+
+export class HMaxVerifier {
+  constructor(deps = {}) {
+    this.config = deps.config || config;
+    this.secretManager = deps.secretManager || secretManager;
+    this.hmac = deps.hmac || hmac;
+    this.algorithms = deps.algorithms || algorithms;
+    this.encoder = deps.encoder || encoder;
+    this.pool = deps.pool || null;
+    this.syncBridge = deps.syncBridge || null;
+    this.scheduler = deps.scheduler || scheduler;
+    // Keys the HMAC layer of dummy verifications; never stored anywhere
+    this.dummySecret = randomBytes(64);
+    // Used to rehash during migration; defaults to the library's default instance
+    this.createHash = deps.createHash || (async (password, options) => {
+      const { createHash } = await import('./index.js');
+      return createHash(password, options);
+    });
+  }
 
-class HMaxVerifier {
   /**
    * Verify password against HMAX hash (async)
+   * options: { signal, timeout } bound the whole call, including waiting for budget.
+   * options.context is required for hashes created with a context (e.g. the user ID).
+   * A null hash (unknown user), or one that fails before any derivation (malformed,
+   * unknown key or pepper ID, missing context), costs the same as a real check at
+   * current parameters (options.dummyAlgorithm, default the configured algorithm).
    */
-  async verifyPassword(password, encodedHash, pepper = null) {
+  async verifyPassword(password, encodedHash, pepper = null, options = {}) {
+    const deadline = this.scheduler.deadline(options);
+
     try {
-      // Decode the hash metadata
-      const metadata = encoder.decodeHash(encodedHash);
-      
-      // Recompute the hash with the provided password
-      const computedHash = await this._recomputeHash(password, metadata, pepper);
+      if (encodedHash === null || encodedHash === undefined) {
+        return await this._dummyVerify(password, options.dummyAlgorithm, deadline.signal);
+      }
+
+      const inputs = { pepper, context: options.context ?? null };
+      let metadata;
+      let prepared;
+      try {
+        metadata = this.encoder.decodeHash(encodedHash);
+        prepared = this._prepare(metadata, inputs);
+      } catch (error) {
+        await this._dummyVerify(password, options.dummyAlgorithm, deadline.signal);
+        throw error;
+      }
       
-      // Timing-safe comparison
-      const verified = timing.verifyHash(computedHash, metadata.hash);
+      let verified = false;
+      let usedSecret = null;
+
+      // Wrapped hashes: replay the inner layers first
+      for (const input of await this._layerInputs(password, metadata, inputs, deadline.signal)) {
+        for (const candidate of prepared.candidates) {
+          // Recompute the hash with the provided password
+          const computedHash = await this._recomputeHash(input, metadata, prepared.keying, candidate.secret, deadline.signal);
+          
+          // Timing-safe comparison
+          if (timing.verifyHash(computedHash, this._storedKey(metadata, candidate.secret))) {
+            verified = true;
+            usedSecret = candidate;
+            break;
+          }
+        }
+        if (verified) {
+          break;
+        }
+      }
       
-      return {
-        verified,
-        metadata: encoder.extractMetadata(encodedHash),
-        needsMigration: !verified ? false : encoder.needsMigration(encodedHash)
-      };
+      return this._buildResult(encodedHash, metadata, verified, usedSecret, inputs.context, password);
     } catch (error) {
-      return {
-        verified: false,
-        error: error.message,
-        needsMigration: false
-      };
+      if (this._isOperationalError(error)) {
+        throw error;
+      }
+      return this._errorResult(error);
+    } finally {
+      deadline.clear();
     }
   }
 
   /**
    * Verify password (sync)
+   * Algorithms without a sync deriver (Argon2id) run on the sync bridge worker
+   * while this thread blocks. options: { signal, timeout, dummyAlgorithm, context } as
+   * for verifyPassword, except that a busy memory budget fails fast instead of
+   * waiting and the signal is only checked between derivations.
    */
-  verifyPasswordSync(password, encodedHash, pepper = null) {
+  verifyPasswordSync(password, encodedHash, pepper = null, options = {}) {
+    const deadline = this.scheduler.deadlineSync(options);
+    const { dummyAlgorithm } = options;
+
     try {
-      const metadata = encoder.decodeHash(encodedHash);
-      
-      // Note: Argon2 should not be used in sync mode
-      if (metadata.algorithm === 'argon2id') {
-        throw new Error('Argon2 verification must be async');
+      if (encodedHash === null || encodedHash === undefined) {
+        return this._dummyVerifySync(password, dummyAlgorithm, deadline);
+      }
+
+      const inputs = { pepper, context: options.context ?? null };
+      let metadata;
+      let prepared;
+      try {
+        metadata = this.encoder.decodeHash(encodedHash);
+        if (!this._derivesSync(metadata)) {
+          throw new Error(`${metadata.algorithm} verification must be async`);
+        }
+        prepared = this._prepare(metadata, inputs);
+      } catch (error) {
+        this._dummyVerifySync(password, dummyAlgorithm, deadline);
+        throw error;
+      }
+
+      let verified = false;
+      let usedSecret = null;
+
+      for (const input of this._layerInputsSync(password, metadata, inputs, deadline)) {
+        for (const candidate of prepared.candidates) {
+          const computedHash = this._recomputeHashSync(input, metadata, prepared.keying, candidate.secret, deadline);
+          if (timing.verifyHash(computedHash, this._storedKey(metadata, candidate.secret))) {
+            verified = true;
+            usedSecret = candidate;
+            break;
+          }
+        }
+        if (verified) {
+          break;
+        }
       }
       
-      const computedHash = this._recomputeHashSync(password, metadata, pepper);
-      const verified = timing.verifyHash(computedHash, metadata.hash);
-      
-      return {
-        verified,
-        metadata: encoder.extractMetadata(encodedHash),
-        needsMigration: !verified ? false : encoder.needsMigration(encodedHash)
-      };
+      return this._buildResult(encodedHash, metadata, verified, usedSecret, inputs.context, password);
     } catch (error) {
-      return {
-        verified: false,
-        error: error.message,
-        needsMigration: false
-      };
+      if (this._isOperationalError(error)) {
+        throw error;
+      }
+      return this._errorResult(error);
+    }
+  }
+
+  /**
+   * Overload, timeout and abort are not a verdict on the password;
+   * a tampered, below-minimum or unaccepted hash is
+   */
+  _isOperationalError(error) {
+    return error instanceof HMaxError &&
+      !(error instanceof MinimumParametersError) &&
+      !(error instanceof IntegrityError) &&
+      !(error instanceof InvalidHashError);
+  }
+
+  _errorResult(error) {
+    const result = {
+      verified: false,
+      error: error.message,
+      needsMigration: false
+    };
+    if (error.code) {
+      result.code = error.code;
+    }
+    return result;
+  }
+
+  /**
+   * Stored parameters below verification.minimums, as readable strings.
+   * Costs come from the hash row itself, so a downgraded row must not be trusted.
+   */
+  _minimumViolations(metadata) {
+    const { minimums } = this.config.getConfig().verification;
+    const violations = [];
+
+    // Legacy formats fix their own salt sizes (e.g. 8-16 characters for SHA-crypt)
+    if (metadata.format !== 'legacy' && metadata.salt.length < minimums.saltLength) {
+      violations.push(`salt length ${metadata.salt.length} < ${minimums.saltLength}`);
+    }
+
+    if (metadata.format === 'legacy') {
+      violations.push(...legacyMinimums(metadata, minimums));
+    } else {
+      const definition = this.algorithms.get(metadata.algorithm);
+      if (definition && definition.minimums) {
+        violations.push(...definition.minimums(metadata, minimums));
+      }
+    }
+
+    return violations;
+  }
+
+  /**
+   * Minimums, keying and candidate secrets of a hash, checked for its wrapped
+   * inner layers too, so a hash that cannot verify fails before any derivation
+   */
+  _prepare(metadata, inputs) {
+    this._enforceMinimums(metadata);
+
+    let layer = metadata;
+    while (layer.wrapped) {
+      layer = this.encoder.decodeWrapped(layer.wrapped);
+      this._resolveKeying(layer, inputs);
+      this._candidateSecrets(layer);
+    }
+
+    return {
+      keying: this._resolveKeying(metadata, inputs),
+      candidates: this._candidateSecrets(metadata)
+    };
+  }
+
+  _enforceMinimums(metadata) {
+    const violations = this._minimumViolations(metadata);
+    if (violations.length > 0) {
+      throw new MinimumParametersError(
+        `Hash parameters below verification minimums: ${violations.join(', ')}`
+      );
+    }
+  }
+
+  /**
+   * Spend the time of a real verification at current parameters, then fail.
+   * Call this when the user does not exist so response times don't reveal it.
+   */
+  async verifyAgainstDummy(password, options = {}) {
+    const deadline = this.scheduler.deadline(options);
+    try {
+      return await this._dummyVerify(password, options.algorithm, deadline.signal);
+    } finally {
+      deadline.clear();
     }
   }
 
+  async _dummyVerify(password, algorithm = null, signal = null) {
+    const metadata = this._dummyMetadata(algorithm || this.config.getConfig().algorithm);
+    const computedHash = await this._recomputeHash(
+      this._dummyPassword(password), metadata, this._dummyKeying(), this.dummySecret, signal
+    );
+    timing.verifyHash(computedHash, metadata.hash);
+    return { verified: false, needsMigration: false };
+  }
+
+  _dummyVerifySync(password, algorithm = null, deadline = null) {
+    const metadata = this._dummyMetadata(algorithm || this.config.getConfig().algorithm);
+    const computedHash = this._recomputeHashSync(
+      this._dummyPassword(password), metadata, this._dummyKeying(), this.dummySecret, deadline
+    );
+    timing.verifyHash(computedHash, metadata.hash);
+    return { verified: false, needsMigration: false };
+  }
+
+  /**
+   * Metadata of a hash createHash would produce now, with a random salt and key
+   */
+  _dummyMetadata(algorithm) {
+    const cfg = this.config.getConfig();
+    const metadata = {
+      version: cfg.encoding.formatVersion,
+      algorithm,
+      salt: randomBytes(cfg.saltLength),
+      hash: randomBytes(64),
+      hmacAlgorithm: cfg.hmacAlgorithm,
+      keyLength: 64,
+      seal: cfg.secrets.enableSeal ? seal.getAlgorithm() : undefined,
+      normalization: cfg.passwordNormalization !== 'none' ? cfg.passwordNormalization : undefined
+    };
+
+    // Verify-only algorithms have no current parameters to imitate
+    const definition = this.algorithms.has(algorithm) ? this.algorithms.get(algorithm) : null;
+    if (!definition || !definition.resolveParams) {
+      throw new Error(`Unsupported dummy algorithm: ${algorithm}`);
+    }
+    return { ...metadata, ...definition.resolveParams({}, cfg) };
+  }
+
+  _dummyPassword(password) {
+    return typeof password === 'string' || password instanceof Uint8Array ? password : '';
+  }
+
+  _dummyKeying() {
+    if (!this.config.getConfig().secrets.enablePepper) {
+      return { pepper: null, context: null };
+    }
+    const pepperId = this.secretManager.getCurrentPepperId();
+    return { pepper: pepperId ? this.secretManager.getPepperById(pepperId) : null, context: null };
+  }
+
+  /**
+   * Secrets to try for a hash: the one named by its key ID, or every
+   * known secret (current first) for hashes from before key IDs existed
+   */
+  _candidateSecrets(metadata) {
+    // Imported hashes have no secret layer
+    if (metadata.plain) {
+      return [{ id: null, secret: null }];
+    }
+
+    if (!metadata.keyId) {
+      return this.secretManager.getSecretEntries();
+    }
+
+    const secret = this.secretManager.getSecretById(metadata.keyId);
+    if (!secret) {
+      throw new Error(`Unknown secret key ID: ${metadata.keyId}`);
+    }
+    return [{ id: metadata.keyId, secret }];
+  }
+
+  /**
+   * Pepper and context for a hash's HMAC layer, from the caller's { pepper, context }
+   */
+  _resolveKeying(metadata, inputs) {
+    return {
+      pepper: this._resolvePepper(metadata, inputs.pepper),
+      context: this._resolveContext(metadata, inputs.context)
+    };
+  }
+
+  /**
+   * Context bytes for a hash bound to one; hashes without a binding ignore the context
+   */
+  _resolveContext(metadata, context) {
+    if (!metadata.contextBinding) {
+      return null;
+    }
+    if (context === null) {
+      throw new Error('Hash is bound to a context: pass options.context');
+    }
+    return this.hmac.encodeContext(context);
+  }
+
+  /**
+   * Pepper for a hash: the registered pepper named by its pepper ID, else
+   * the raw pepper passed by the caller (hashes without a pepper ID take
+   * the caller's pepper as is)
+   */
+  _resolvePepper(metadata, pepper) {
+    if (!metadata.pepperId) {
+      return pepper;
+    }
+
+    const registered = this.secretManager.getPepperById(metadata.pepperId);
+    if (registered) {
+      return registered;
+    }
+    if (!pepper) {
+      throw new Error(`Unknown pepper ID: ${metadata.pepperId}`);
+    }
+    return pepper;
+  }
+
+  /**
+   * Derived key stored in a hash, opening the outer seal if present
+   */
+  _storedKey(metadata, secret) {
+    if (!metadata.seal) {
+      return metadata.hash;
+    }
+    return seal.open(metadata.hash, this.encoder.layerKey(metadata, secret, 'seal'), this.encoder.getSealContext(metadata));
+  }
+
+  /**
+   * Output of a hash's KDF as stored, for use as the input of a wrapping layer
+   */
+  storedOutput(metadata) {
+    if (!metadata.seal) {
+      return metadata.hash;
+    }
+    const secret = this.secretManager.getSecretById(metadata.keyId);
+    if (!secret) {
+      throw new Error(`Unknown secret key ID: ${metadata.keyId}`);
+    }
+    return this._storedKey(metadata, secret);
+  }
+
+  /**
+   * Inputs to try for the outermost layer of a hash: the password itself,
+   * or the outputs of replaying its wrapped inner layers, innermost first.
+   * Inner layers without a key ID yield one input per known secret.
+   */
+  async _layerInputs(password, metadata, callerInputs, signal = null) {
+    if (!metadata.wrapped) {
+      return [password];
+    }
+
+    const inner = this.encoder.decodeWrapped(metadata.wrapped);
+    const innerKeying = this._resolveKeying(inner, callerInputs);
+    const inputs = [];
+    for (const input of await this._layerInputs(password, inner, callerInputs, signal)) {
+      for (const candidate of this._candidateSecrets(inner)) {
+        inputs.push(await this._recomputeHash(input, inner, innerKeying, candidate.secret, signal));
+      }
+    }
+    return inputs;
+  }
+
+  _layerInputsSync(password, metadata, callerInputs, deadline = null) {
+    if (!metadata.wrapped) {
+      return [password];
+    }
+
+    const inner = this.encoder.decodeWrapped(metadata.wrapped);
+    const innerKeying = this._resolveKeying(inner, callerInputs);
+    const inputs = [];
+    for (const input of this._layerInputsSync(password, inner, callerInputs, deadline)) {
+      for (const candidate of this._candidateSecrets(inner)) {
+        inputs.push(this._recomputeHashSync(input, inner, innerKeying, candidate.secret, deadline));
+      }
+    }
+    return inputs;
+  }
+
+  /**
+   * Build verification result; hashes sealed with a non-current secret
+   * or pepper, wrapped hashes, hashes not yet bound to the caller's
+   * context and hashes of a differently normalized password need rehashing
+   */
+  _buildResult(encodedHash, metadata, verified, usedSecret, context = null, password = null) {
+    const usedCurrentSecret = verified && usedSecret.id === this.secretManager.getCurrentSecretId();
+
+    const currentPepperId = this.config.getConfig().secrets.enablePepper
+      ? this.secretManager.getCurrentPepperId()
+      : null;
+    const usedCurrentPepper = !currentPepperId || metadata.pepperId === currentPepperId;
+
+    return {
+      verified,
+      metadata: this.encoder.extractMetadata(encodedHash),
+      needsMigration: !verified
+        ? false
+        : !usedCurrentSecret || !usedCurrentPepper || Boolean(metadata.wrapped) ||
+          (context !== null && !metadata.contextBinding) ||
+          this._normalizationOutdated(metadata, password) ||
+          this.encoder.needsMigration(encodedHash),
+      usedCurrentSecret,
+      usedCurrentPepper: verified && usedCurrentPepper,
+      secretId: verified ? usedSecret.id : null
+    };
+  }
+
+  /**
+   * A string password hashed under another normalization than the configured one
+   */
+  _normalizationOutdated(metadata, password) {
+    const current = normalizationFor(password, this.config.getConfig().passwordNormalization);
+    return !metadata.plain && metadata.format !== 'legacy' && (metadata.normalization || 'none') !== current;
+  }
+
+  /**
+   * HMAC layer under the hash's secret; imported hashes feed the KDF the raw password
+   */
+  _secretLayer(password, metadata, keying, secret) {
+    if (metadata.plain) {
+      return Buffer.from(password);
+    }
+    return this.hmac.createHMAC(password, metadata.salt, keying.pepper, {
+      secret: this.encoder.layerKey(metadata, secret, 'hmac'),
+      hmacAlgorithm: metadata.hmacAlgorithm,
+      sealed: Boolean(metadata.seal),
+      context: keying.context,
+      normalization: metadata.normalization || 'none'
+    });
+  }
+
   /**
    * Recompute hash for verification (async)
    */
-  async _recomputeHash(password, metadata, pepper = null) {
-    const { algorithm, salt, version } = metadata;
-    
-    let derivedKey;
+  async _recomputeHash(password, metadata, keying, secret = null, signal = null) {
+    const { algorithm, salt } = metadata;
     
     // Apply HMAC layer first
-    const hmacResult = hmac.createHMAC(password, salt, pepper);
+    const hmacResult = this._secretLayer(password, metadata, keying, secret);
     
-    // Then apply KDF based on algorithm
-    if (algorithm === 'argon2id') {
-      const { timeCost, memoryCost, parallelism } = metadata;
-      derivedKey = await argon2.deriveKey(hmacResult, salt, {
-        timeCost,
-        memoryCost,
-        parallelism,
-        keyLength: 64
-      });
-    } else if (algorithm === 'pbkdf2') {
-      const { iterations } = metadata;
-      derivedKey = await pbkdf2.deriveKey(hmacResult, salt, {
-        iterations,
-        keyLength: 64
-      });
-    } else if (algorithm === 'hmac-sha512') {
-      // For v1 compatibility - just use HMAC result
-      derivedKey = hmacResult;
+    // Then apply KDF based on algorithm, using only the stored parameters
+    let kdf;
+    let kdfOptions;
+
+    if (metadata.format === 'legacy') {
+      // Hashes imported from other stacks (bcrypt, SHA-crypt, Django, Werkzeug)
+      kdf = legacyKdfs[algorithm];
+      kdfOptions = legacyKdfOptions(metadata);
     } else {
-      throw new Error(`Unsupported algorithm: ${algorithm}`);
+      kdf = this.algorithms.get(algorithm);
+      kdfOptions = this.algorithms.kdfOptions(algorithm, metadata, this.config.getConfig());
     }
-    
-    return derivedKey;
+
+    // Worker threads only load the built-in and legacy algorithms
+    const threaded = this.pool && this.pool.isEnabled() &&
+      (metadata.format === 'legacy' || this.algorithms.isBuiltin(algorithm));
+
+    // Wait for memory budget, then run off the main thread when the worker pool is enabled
+    return this.scheduler.run(
+      this.algorithms.memory(algorithm, kdfOptions),
+      (runSignal) => threaded
+        ? this.pool.derive(algorithm, hmacResult, salt, kdfOptions, runSignal)
+        : kdf.deriveKey(hmacResult, salt, { ...kdfOptions, signal: runSignal }),
+      signal
+    );
   }
 
   /**
    * Recompute hash for verification (sync)
    */
-  _recomputeHashSync(password, metadata, pepper = null) {
+  _recomputeHashSync(password, metadata, keying, secret = null, deadline = null) {
     const { algorithm, salt } = metadata;
     
-    const hmacResult = hmac.createHMAC(password, salt, pepper);
+    const hmacResult = this._secretLayer(password, metadata, keying, secret);
     
-    if (algorithm === 'pbkdf2') {
-      const { iterations } = metadata;
-      return pbkdf2.deriveKeySync(hmacResult, salt, {
-        iterations,
-        keyLength: 64
-      });
-    } else if (algorithm === 'hmac-sha512') {
-      return hmacResult;
+    let kdf;
+    let kdfOptions;
+
+    if (metadata.format === 'legacy') {
+      kdf = legacyKdfs[algorithm];
+      kdfOptions = legacyKdfOptions(metadata);
     } else {
-      throw new Error(`Unsupported sync algorithm: ${algorithm}`);
+      if (!this._derivesSync(metadata)) {
+        throw new Error(`Unsupported sync algorithm: ${algorithm}`);
+      }
+      kdf = this.algorithms.get(algorithm);
+      kdfOptions = this.algorithms.kdfOptions(algorithm, metadata, this.config.getConfig());
+    }
+
+    // Take memory budget without waiting; async-only KDFs block on the bridge worker
+    return this.scheduler.runSync(
+      this.algorithms.memory(algorithm, kdfOptions),
+      (remaining) => kdf.deriveKeySync
+        ? kdf.deriveKeySync(hmacResult, salt, kdfOptions)
+        : this.syncBridge.deriveSync(algorithm, hmacResult, salt, kdfOptions, remaining),
+      deadline
+    );
+  }
+
+  /**
+   * Whether a hash's algorithm can be derived synchronously, natively or on
+   * the sync bridge (which, like the worker pool, only loads built-ins)
+   */
+  _derivesSync(metadata) {
+    if (metadata.format === 'legacy') {
+      return true;
     }
+    return Boolean(this.algorithms.get(metadata.algorithm).deriveKeySync) ||
+      Boolean(this.syncBridge && this.algorithms.isBuiltin(metadata.algorithm));
   }
 
   /**
    * Migrate hash if outdated
    */
-  async migrateHashIfOutdated(password, encodedHash, pepper = null) {
-    const verification = await this.verifyPassword(password, encodedHash, pepper);
+  async migrateHashIfOutdated(password, encodedHash, pepper = null, options = {}) {
+    const verification = await this.verifyPassword(password, encodedHash, pepper, options);
     
     if (!verification.verified) {
       throw new Error('Cannot migrate: password verification failed');
@@ -140,15 +565,93 @@ class HMaxVerifier {
       return { migrated: false, hash: encodedHash };
     }
     
-    // Re-hash with current parameters
-    const { createHash } = await import('./index.js');
-    const newHash = await createHash(password, { pepper });
+    // Re-hash with current parameters and the current secret
+    const { signal, timeout, context } = options;
+    const newHash = await this.createHash(password, { pepper, signal, timeout, context });
     
     return {
       migrated: true,
       oldHash: encodedHash,
       newHash,
-      reason: 'Hash parameters outdated'
+      reason: this._migrationReason(verification, encodedHash, context, password)
+    };
+  }
+
+  /**
+   * Why a verified hash is rehashed: the algorithm and format first, the
+   * keys next, and the password normalization only when nothing else applies
+   */
+  _migrationReason(verification, encodedHash, context = null, password = null) {
+    if (verification.metadata.format === 'legacy') {
+      return `Legacy ${verification.metadata.algorithm} hash`;
+    }
+    if (verification.metadata.plain) {
+      return 'Imported hash without the HMAX secret layer';
+    }
+    if (verification.metadata.algorithm === 'argon2id-legacy') {
+      return 'Legacy scrypt-based Argon2 hash';
+    }
+    if (verification.metadata.version < this.config.getConfig().encoding.formatVersion) {
+      return `Outdated format version: ${verification.metadata.version}`;
+    }
+    if (verification.metadata.wrapped) {
+      return 'Wrapped hash unwrapped to a single layer';
+    }
+    if (!verification.usedCurrentSecret) {
+      return 'Hash sealed with a previous secret';
+    }
+    if (!verification.usedCurrentPepper) {
+      return 'Hash uses a previous or no pepper';
+    }
+    if (context !== undefined && context !== null && !verification.metadata.contextBinding) {
+      return 'Hash not bound to a context';
+    }
+    if (this.encoder.needsMigration(encodedHash)) {
+      return 'Hash parameters outdated';
+    }
+    if (this._normalizationOutdated(verification.metadata, password)) {
+      return 'Hash uses another password normalization';
+    }
+    return 'Hash parameters outdated';
+  }
+
+  /**
+   * Re-seal a hash under the current secret (no password needed)
+   */
+  resealHash(encodedHash) {
+    const metadata = this.encoder.decodeHash(encodedHash);
+
+    if (!metadata.seal) {
+      throw new Error('Cannot reseal: hash has no outer seal layer; rehash it at next login instead');
+    }
+
+    const currentId = this.secretManager.getCurrentSecretId();
+    if (metadata.keyId === currentId) {
+      return { resealed: false, hash: encodedHash };
+    }
+
+    const oldSecret = this.secretManager.getSecretById(metadata.keyId);
+    if (!oldSecret) {
+      throw new Error(`Cannot reseal: unknown secret key ID: ${metadata.keyId}`);
+    }
+
+    const newHash = this.encoder.encodeHash({
+      ...metadata,
+      keyId: currentId,
+      hash: seal.reseal(
+        metadata.hash,
+        this.encoder.layerKey(metadata, oldSecret, 'seal'),
+        this.encoder.layerKey(metadata, this.secretManager.getSecretById(currentId), 'seal'),
+        this.encoder.getSealContext(metadata)
+      )
+    });
+
+    return {
+      resealed: true,
+      oldHash: encodedHash,
+      newHash,
+      fromKeyId: metadata.keyId,
+      toKeyId: currentId
     };
   }
 
@@ -175,52 +678,81 @@ class HMaxVerifier {
    */
   auditHash(encodedHash) {
     try {
-      const metadata = encoder.decodeHash(encodedHash);
-      const currentConfig = config.getConfig();
+      const metadata = this.encoder.decodeHash(encodedHash);
+      const currentConfig = this.config.getConfig();
       
       const issues = [];
       const warnings = [];
       
+      if (metadata.format === 'legacy') {
+        issues.push(`Legacy ${metadata.algorithm} hash: rehash at next login`);
+      } else if (metadata.plain) {
+        issues.push('Imported hash without the HMAX secret layer');
+      }
+
+      if (metadata.wrapped) {
+        warnings.push(`Wrapped hash (${this.encoder.countLayers(encodedHash)} layers): unwrapped at next login`);
+      }
+
       // Check version
       if (metadata.version < currentConfig.encoding.formatVersion) {
         issues.push(`Outdated format version: ${metadata.version}`);
       }
       
       // Algorithm-specific checks
-      if (metadata.algorithm === 'argon2id') {
-        if (metadata.memoryCost < currentConfig.argon2.memoryCost) {
-          issues.push(`Insufficient memory cost: ${metadata.memoryCost}`);
+      if (metadata.format === 'legacy') {
+        if (metadata.algorithm === 'bcrypt') {
+          warnings.push('bcrypt ignores password bytes beyond 72');
         }
-        if (metadata.timeCost < currentConfig.argon2.timeCost) {
-          issues.push(`Insufficient time cost: ${metadata.timeCost}`);
+      } else {
+        const definition = this.algorithms.get(metadata.algorithm);
+        const audit = definition.audit ? definition.audit(metadata, currentConfig) : {};
+        issues.push(...(audit.issues || []));
+        warnings.push(...(audit.warnings || []));
+      }
+
+      // Imported hashes have neither layer; the issue above covers both
+      if (!metadata.plain) {
+        if (!metadata.seal && currentConfig.secrets.enableSeal) {
+          warnings.push('No outer seal layer: secret rotation requires a rehash at next login');
         }
-      } else if (metadata.algorithm === 'pbkdf2') {
-        if (metadata.iterations < currentConfig.pbkdf2.iterations) {
-          issues.push(`Insufficient iterations: ${metadata.iterations}`);
+
+        if (metadata.hmacAlgorithm !== currentConfig.hmacAlgorithm) {
+          warnings.push(`HMAC algorithm differs from configuration: ${metadata.hmacAlgorithm}`);
         }
-      } else if (metadata.algorithm === 'hmac-sha512') {
-        warnings.push('Using legacy HMAC-only algorithm');
       }
-      
-      // General checks
-      if (metadata.salt.length < 16) {
-        issues.push('Salt too short');
+
+      // Legacy formats have fixed salt and hash sizes
+      if (metadata.format !== 'legacy') {
+        if (metadata.salt.length < 16) {
+          issues.push('Salt too short');
+        }
+
+        if (metadata.hash.length < 32) {
+          issues.push('Hash too short');
+        }
       }
-      
-      if (metadata.hash.length < 32) {
-        issues.push('Hash too short');
+
+      for (const violation of this._minimumViolations(metadata)) {
+        issues.push(`Below verification minimum (HMAX_BELOW_MINIMUM): ${violation}`);
+      }
+
+      if (metadata.integrity === 'unchecked') {
+        warnings.push('Integrity tag not checked: secret key ID is not registered');
       }
       
       return {
         secure: issues.length === 0,
         issues,
         warnings,
-        metadata: encoder.extractMetadata(encodedHash)
+        metadata: this.encoder.extractMetadata(encodedHash)
       };
     } catch (error) {
       return {
         secure: false,
-        issues: [`Invalid hash format: ${error.message}`],
+        issues: [error instanceof IntegrityError
+          ? `Tampered hash (${error.code}): ${error.message}`
+          : `Invalid hash format: ${error.message}`],
         warnings: [],
         metadata: null
       };
@@ -0,0 +1,44 @@
+/**
+ * HMAX-SECURE KDF Worker
+ * Runs key derivations off the main thread (secrets never reach the worker)
+ */
+
+import { parentPort, workerData } from 'node:worker_threads';
+import algorithms from './algorithms.js';
+import { legacyKdfs } from './legacy.js';
+
+// Built-in algorithms only: ones registered at runtime live in the main thread
+
+// The sync bridge hands over its own port and shared flags: [0] set once a reply
+// is posted, [1] set on exit. Both wake its blocked caller.
+const { port = parentPort, state = null } = workerData || {};
+
+function reply(message) {
+  port.postMessage(message);
+  if (state) {
+    Atomics.store(state, 0, 1);
+    Atomics.notify(state, 0);
+  }
+}
+
+if (state) {
+  // Runs on crashes too: the caller cannot see the 'exit' event while blocked
+  process.on('exit', () => {
+    Atomics.store(state, 1, 1);
+    Atomics.notify(state, 0);
+  });
+}
+
+port.on('message', async ({ id, algorithm, input, salt, options }) => {
+  try {
+    const kdf = algorithms.isBuiltin(algorithm) ? algorithms.get(algorithm) : legacyKdfs[algorithm];
+    if (!kdf) {
+      throw new Error(`Unsupported worker algorithm: ${algorithm}`);
+    }
+
+    const key = await kdf.deriveKey(Buffer.from(input), Buffer.from(salt), options);
+    reply({ id, key });
+  } catch (error) {
+    reply({ id, error: error.message });
+  }
+});
@@ -0,0 +1,658 @@
+/**
+ * HMAX-SECURE Tests
+ * Known-answer vectors for the KDFs, then the behavior of each feature.
+ * Run with `npm test` (node:test, no dependencies).
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getEventListeners } from 'node:events';
+import { createHash as sha, pbkdf2Sync, randomBytes } from 'node:crypto';
+import { mkdtempSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+
+import {
+  createHasher,
+  BreachChecker,
+  MemoryTokenStore,
+  SUBKEY_PURPOSES,
+  IntegrityError,
+  PasswordPolicyError,
+  BudgetExceededError,
+  OverloadedError,
+  AbortError
+} from './src/index.js';
+import argon2 from './src/argon2.js';
+import { blake2b } from './src/blake2b.js';
+import { decodeLegacyHash, legacyKdfs, legacyKdfOptions } from './src/legacy.js';
+import { HMaxConfig } from './src/config.js';
+import { WorkerPool } from './src/pool.js';
+import { SyncBridge } from './src/sync-bridge.js';
+
+const SECRET = Buffer.alloc(64, 1);
+const PASSWORD = 'correct horse battery staple';
+
+// The lowest costs config accepts, so the suite runs in seconds
+const FAST = {
+  argon2: { memoryCost: 4096, timeCost: 1, parallelism: 1 },
+  pbkdf2: { iterations: 10000 },
+  scrypt: { cost: 1024, blockSize: 1 }
+};
+
+function hasher(config = {}, options = {}) {
+  const instance = createHasher({ secrets: { currentSecret: SECRET }, ...options, config: FAST });
+  instance.config.setConfig(config);
+  return instance;
+}
+
+const b64 = (buffer) => buffer.toString('base64').replace(/=+$/, '');
+
+// ---------------------------------------------------------------------------
+// Known-answer tests
+// ---------------------------------------------------------------------------
+
+test('Argon2id matches RFC 9106 section 5.3', () => {
+  // Below the 4 MiB the public API accepts, so run the core directly
+  const run = argon2._argon2id(Buffer.alloc(32, 0x01), Buffer.alloc(16, 0x02), {
+    memoryCost: 32,
+    timeCost: 3,
+    parallelism: 4,
+    keyLength: 32,
+    secret: Buffer.alloc(8, 0x03),
+    associatedData: Buffer.alloc(12, 0x04)
+  });
+  let step = run.next();
+  while (!step.done) {
+    step = run.next();
+  }
+
+  assert.equal(step.value.toString('hex'), '0d640df58d78766c08c037a34a8b53c9d01ef0452d75b65eb52520e96b01e659');
+});
+
+test('Argon2id yields to the event loop inside each segment', () => {
+  // 4096 blocks in one lane: four 1024-block segments, so at least two yields each
+  const run = argon2._argon2id(Buffer.from(PASSWORD), Buffer.alloc(16), {
+    memoryCost: 4096,
+    timeCost: 1,
+    parallelism: 1,
+    keyLength: 32
+  });
+  let steps = 0;
+  while (!run.next().done) {
+    steps++;
+  }
+
+  assert.ok(steps >= 8, `${steps} yields`);
+});
+
+test('BLAKE2b-512 matches RFC 7693 Appendix A', () => {
+  assert.equal(
+    blake2b(Buffer.from('abc'), 64).toString('hex'),
+    'ba80a53f981c4d0d6a2797b69f12f6e94c212f14685ac4b74b12bb6fdbffa2d1' +
+    '7d87c5392aab792dc252d5de4533cc9518d38aa8dbf1925ab92386edd4009923'
+  );
+});
+
+function assertLegacyVector(password, encoded) {
+  const metadata = decodeLegacyHash(encoded);
+  const kdf = legacyKdfs[metadata.algorithm];
+  const options = legacyKdfOptions(metadata);
+  assert.ok(kdf.deriveKeySync(Buffer.from(password), metadata.salt, options).equals(metadata.hash), encoded);
+  assert.ok(!kdf.deriveKeySync(Buffer.from(`${password}x`), metadata.salt, options).equals(metadata.hash), encoded);
+}
+
+test('bcrypt matches the OpenBSD vectors', async () => {
+  const vectors = [
+    ['', '$2a$06$DCq7YPn5Rq63x1Lad4cll.TV4S6ytwfsfvkgY8jIucDrjc8deX1s.'],
+    ['abc', '$2a$06$If6bvum7DFjUnE9p2uDeDu0YHzrHM6tf.iqN8.yx.jNN1ILEf7h0i'],
+    ['abcdefghijklmnopqrstuvwxyz', '$2a$06$.rCVZVOThsIa97pEDOxvGuRRgzG64bvtJ0938xuqzv18d3ZpQhstC'],
+    ['U*U', '$2a$05$CCCCCCCCCCCCCCCCCCCCC.E5YPO9kmyuRGyh0XouQYb4YMJKvyOeW'],
+    ['U*U*', '$2a$05$CCCCCCCCCCCCCCCCCCCCC.VGOzA784oUp/Z0DY336zx7pLYAy0lwK']
+  ];
+  for (const [password, encoded] of vectors) {
+    assertLegacyVector(password, encoded);
+  }
+
+  const metadata = decodeLegacyHash(vectors[1][1]);
+  const key = await legacyKdfs.bcrypt.deriveKey(Buffer.from('abc'), metadata.salt, legacyKdfOptions(metadata));
+  assert.ok(key.equals(metadata.hash));
+});
+
+test('SHA-crypt matches the Drepper vectors, rounds= included', async () => {
+  const vectors = [
+    ['Hello world!', '$5$saltstring$5B8vYYiY.CVt1RlTTf8KbXBH3hsxY/GNooZaBBGWEc5'],
+    ['Hello world!', '$5$rounds=10000$saltstringsaltst$3xv.VbSHBb41AL9AvLeujZkZRBAwqFMz2.opqey6IcA'],
+    ['This is just a test', '$5$rounds=5000$toolongsaltstrin$Un/5jzAHMgOGZ5.mWJpuVolil07guHPvOW8mGRcvxa5'],
+    ['Hello world!', '$6$saltstring$svn8UoSVapNtMuq1ukKS4tPQd8iKwSMHWjl/O817G3uBnIFNjnQJuesI68u4OTLiBFdcbYEdFCoEOfaS35inz1'],
+    ['Hello world!', '$6$rounds=10000$saltstringsaltst$OW1/O6BYHV6BcXZu8QVeXbDWra3Oeqh0sbHbbMCVNSnCM/UrjmM0Dp8vOuZeHBy/YTBmSK6H9qs/y3RnOaw5v.'],
+    // rounds=10 is clamped to the 1000 minimum
+    ['the minimum number is still observed', '$5$rounds=10$roundstoolow$yfvwcWrQ8l/K0DAWyuPMDNHpIVlTQebY9l/gL972bIC'],
+    ['the minimum number is still observed', '$6$rounds=10$roundstoolow$kUMsbe306n21p9R.FRkW3IGn.S9NPN0x50YhH1xhLsPuWGsUSklZt58jaTfF4ZEQpyUNGc0dqbpBYYBaHHrsX.']
+  ];
+  for (const [password, encoded] of vectors) {
+    assertLegacyVector(password, encoded);
+  }
+
+  assert.equal(decodeLegacyHash(vectors[5][1]).rounds, 1000);
+  const metadata = decodeLegacyHash(vectors[4][1]);
+  const key = await legacyKdfs.sha512crypt.deriveKey(Buffer.from('Hello world!'), metadata.salt, legacyKdfOptions(metadata));
+  assert.ok(key.equals(metadata.hash));
+});
+
+// ---------------------------------------------------------------------------
+// Behavior
+// ---------------------------------------------------------------------------
+
+test('Argon2id hashes verify and reject wrong passwords', async () => {
+  const h = hasher();
+  const hash = await h.createHash(PASSWORD);
+
+  assert.equal(h.extractMetadata(hash).algorithm, 'argon2id');
+  assert.equal((await h.verifyPassword(PASSWORD, hash)).verified, true);
+  assert.equal((await h.verifyPassword(`${PASSWORD}!`, hash)).verified, false);
+});
+
+test('hashes name their secret and verify after rotation', async () => {
+  const h = hasher();
+  const hash = await h.createHash(PASSWORD, { algorithm: 'pbkdf2' });
+  const oldId = h.secretManager.getCurrentSecretId();
+  assert.equal(hash.split('$')[3], oldId);
+
+  assert.throws(() => createHasher({ secrets: { currentPepper: Buffer.alloc(32, 7) } }), /Current secret must be set/);
+
+  // IDs are random, not a fingerprint of the secret, unless chosen
+  assert.match(oldId, /^sec_[0-9a-f]{16}$/);
+  assert.notEqual(hasher().secretManager.getCurrentSecretId(), oldId);
+  assert.equal(hasher({}, { secrets: { currentSecret: SECRET, currentSecretId: 'k2024' } }).secretManager.getCurrentSecretId(), 'k2024');
+
+  h.rotateSecret();
+  const result = await h.verifyPassword(PASSWORD, hash);
+  assert.equal(result.verified, true);
+  assert.equal(result.usedCurrentSecret, false);
+  assert.equal(result.needsMigration, true);
+  assert.equal(result.secretId, oldId);
+
+  const migrated = await h.migrateHashIfOutdated(PASSWORD, hash);
+  assert.equal(migrated.reason, 'Hash sealed with a previous secret');
+  assert.equal(h.extractMetadata(migrated.newHash).keyId, h.secretManager.getCurrentSecretId());
+});
+
+test('per-call costs and digests are recorded in the hash', async () => {
+  const h = hasher();
+  const hash = await h.createHash(PASSWORD, { algorithm: 'pbkdf2', iterations: 12000 });
+  const metadata = h.extractMetadata(hash);
+  assert.equal(metadata.iterations, 12000);
+  assert.equal(metadata.digest, 'sha512');
+  assert.equal(metadata.hmacAlgorithm, 'sha512');
+
+  assert.equal((await h.verifyPassword(PASSWORD, hash)).needsMigration, false);
+  h.config.setConfig({ pbkdf2: { iterations: 20000 } });
+  const result = await h.verifyPassword(PASSWORD, hash);
+  assert.equal(result.verified, true);
+  assert.equal(result.needsMigration, true);
+});
+
+test('resealHash moves a hash to the current secret without the password', async () => {
+  const h = hasher();
+  const hash = await h.createHash(PASSWORD, { algorithm: 'pbkdf2' });
+  assert.equal(h.resealHash(hash).resealed, false);
+
+  h.rotateSecret();
+  const result = h.resealHash(hash);
+  assert.equal(result.resealed, true);
+  assert.equal(result.toKeyId, h.secretManager.getCurrentSecretId());
+
+  const verification = await h.verifyPassword(PASSWORD, result.newHash);
+  assert.equal(verification.verified, true);
+  assert.equal(verification.needsMigration, false);
+});
+
+test('registered peppers are recorded by ID and rotate', async () => {
+  const pepper = Buffer.alloc(32, 7);
+  const h = hasher({}, { secrets: { currentSecret: SECRET, currentPepper: pepper } });
+  const hash = await h.createHash(PASSWORD, { algorithm: 'pbkdf2' });
+  assert.match(hash, new RegExp(`pp=${h.secretManager.getCurrentPepperId()}`));
+
+  h.rotatePepper();
+  const result = await h.verifyPassword(PASSWORD, hash);
+  assert.equal(result.verified, true);
+  assert.equal(result.usedCurrentPepper, false);
+  assert.equal(result.needsMigration, true);
+});
+
+test('explicit peppers are recorded by a random or registered ID', async () => {
+  const h = hasher();
+  const pepper = Buffer.alloc(32, 7);
+  const hash = await h.createHash(PASSWORD, { algorithm: 'pbkdf2', pepper });
+  const { pepperId } = h.extractMetadata(hash);
+  assert.match(pepperId, /^pep_[0-9a-f]{16}$/);
+  assert.notEqual(h.secretManager.getPepperId(pepper), pepperId);
+
+  assert.equal((await h.verifyPassword(PASSWORD, hash, pepper)).verified, true);
+  assert.equal((await h.verifyPassword(PASSWORD, hash, Buffer.alloc(32, 8))).verified, false);
+  assert.match((await h.verifyPassword(PASSWORD, hash)).error, /Unknown pepper ID/);
+
+  const id = h.secretManager.addPreviousPepper(pepper, 'pepper-2024');
+  assert.equal(id, 'pepper-2024');
+  const registered = await h.createHash(PASSWORD, { algorithm: 'pbkdf2', pepper });
+  assert.equal(h.extractMetadata(registered).pepperId, 'pepper-2024');
+  assert.equal((await h.verifyPassword(PASSWORD, registered)).verified, true);
+});
+
+test('hashers are isolated from each other', async () => {
+  const a = hasher({ pbkdf2: { iterations: 20000 } });
+  const b = createHasher({ secrets: { currentSecret: Buffer.alloc(64, 2) }, config: FAST });
+  const hash = await a.createHash(PASSWORD, { algorithm: 'pbkdf2' });
+
+  assert.equal(b.config.getConfig().pbkdf2.iterations, 10000);
+  assert.equal((await a.verifyPassword(PASSWORD, hash)).verified, true);
+  assert.equal((await b.verifyPassword(PASSWORD, hash)).verified, false);
+});
+
+test('the worker pool derives off the main thread', async () => {
+  const h = hasher({ workers: { enabled: true, size: 1 } });
+  try {
+    const hash = await h.createHash(PASSWORD);
+    assert.equal((await h.verifyPassword(PASSWORD, hash)).verified, true);
+    assert.equal(h.getInfo().workers.enabled, true);
+  } finally {
+    await h.close();
+  }
+});
+
+test('the worker pool removes its abort listener when a task settles', async () => {
+  const cfg = new HMaxConfig();
+  cfg.setConfig({ workers: { enabled: true, size: 1 } });
+  const pool = new WorkerPool(cfg);
+  const controller = new AbortController();
+  try {
+    for (let i = 0; i < 3; i++) {
+      await pool.derive('pbkdf2', Buffer.from(PASSWORD), Buffer.alloc(16), { iterations: 10000, keyLength: 32, digest: 'sha512' }, controller.signal);
+    }
+    assert.equal(getEventListeners(controller.signal, 'abort').length, 0);
+  } finally {
+    await pool.close();
+  }
+});
+
+test('each hasher enforces the memory budget from its own limits', async () => {
+  const h = hasher({ limits: { maxMemory: 4096, maxConcurrent: 1, maxWaiting: 0 } });
+  assert.equal(h.getInfo().scheduler.maxMemory, 4096);
+
+  await assert.rejects(h.createHash(PASSWORD, { memoryCost: 8192 }), BudgetExceededError);
+
+  const [first, second] = await Promise.allSettled([h.createHash(PASSWORD), h.createHash(PASSWORD)]);
+  assert.equal(first.status, 'fulfilled');
+  assert.ok(second.reason instanceof OverloadedError);
+
+  const controller = new AbortController();
+  controller.abort();
+  await assert.rejects(h.createHash(PASSWORD, { signal: controller.signal }), AbortError);
+
+  const shared = hasher({}, { scheduler: h.scheduler });
+  assert.equal(shared.getInfo().scheduler.maxMemory, 4096);
+  assert.equal(hasher().getInfo().scheduler.maxMemory, 524288);
+});
+
+test('unknown users and early failures cost a dummy of the configured algorithm', async () => {
+  const h = hasher({ algorithm: 'scrypt' });
+  const derived = [];
+  for (const method of ['_recomputeHash', '_recomputeHashSync']) {
+    const original = h.verifier[method].bind(h.verifier);
+    h.verifier[method] = (password, metadata, ...rest) => {
+      derived.push(metadata.algorithm);
+      return original(password, metadata, ...rest);
+    };
+  }
+
+  assert.equal((await h.verifyPassword(PASSWORD, null)).verified, false);
+  assert.equal((await h.verifyAgainstDummy(PASSWORD)).verified, false);
+  assert.equal(h.verifyPasswordSync(PASSWORD, null).verified, false);
+  assert.deepEqual(derived, ['scrypt', 'scrypt', 'scrypt']);
+
+  // Failures found before deriving still spend one derivation
+  const bound = await h.createHash(PASSWORD, { context: 'user-1' });
+  assert.equal(h.extractMetadata(bound).algorithm, 'scrypt');
+  const foreign = await hasher().createHash(PASSWORD, { algorithm: 'pbkdf2' });
+  derived.length = 0;
+  assert.match((await h.verifyPassword(PASSWORD, bound)).error, /bound to a context/);
+  assert.match((await h.verifyPassword(PASSWORD, foreign)).error, /Unknown secret key ID/);
+  assert.match(h.verifyPasswordSync(PASSWORD, foreign).error, /Unknown secret key ID/);
+  assert.deepEqual(derived, ['scrypt', 'scrypt', 'scrypt']);
+});
+
+test('hashes below the verification minimums are refused', async () => {
+  const h = hasher();
+  const hash = await h.createHash(PASSWORD, { algorithm: 'pbkdf2' });
+  h.config.setConfig({ verification: { minimums: { pbkdf2: { iterations: 20000 } } } });
+
+  const result = await h.verifyPassword(PASSWORD, hash);
+  assert.equal(result.verified, false);
+  assert.equal(result.code, 'HMAX_BELOW_MINIMUM');
+  assert.ok(h.auditHash(hash).issues.some((issue) => issue.includes('HMAX_BELOW_MINIMUM')));
+});
+
+test('PHC strings round-trip, and plain PHC is opt-in', async () => {
+  const h = hasher();
+  const hash = await h.createHash(PASSWORD, { context: 'user-1' });
+  const phc = h.toPHC(hash);
+  assert.match(phc, /^\$argon2id\$v=19\$/);
+  assert.equal(h.fromPHC(phc), hash);
+  assert.equal((await h.verifyPassword(PASSWORD, phc, null, { context: 'user-1' })).verified, true);
+
+  const salt = randomBytes(16);
+  const plain = `$pbkdf2-sha512$i=210000$${b64(salt)}$${b64(pbkdf2Sync(PASSWORD, salt, 210000, 64, 'sha512'))}`;
+  assert.equal((await h.verifyPassword(PASSWORD, plain)).code, 'HMAX_INVALID_HASH');
+
+  h.config.setConfig({ verification: { enablePlainPHC: true } });
+  const result = await h.verifyPassword(PASSWORD, plain);
+  assert.equal(result.verified, true);
+  assert.equal(result.needsMigration, true);
+});
+
+test('legacy formats are opt-in and held to minimums', async () => {
+  const h = hasher();
+  const bcrypt = '$2a$05$CCCCCCCCCCCCCCCCCCCCC.E5YPO9kmyuRGyh0XouQYb4YMJKvyOeW';
+  assert.equal((await h.verifyPassword('U*U', bcrypt)).code, 'HMAX_INVALID_HASH');
+
+  h.config.setConfig({ verification: { legacyFormats: ['bcrypt', 'django-pbkdf2'] } });
+  assert.equal((await h.verifyPassword('U*U', bcrypt)).code, 'HMAX_BELOW_MINIMUM');
+
+  h.config.setConfig({ verification: { minimums: { bcrypt: { cost: 5 } } } });
+  const result = await h.verifyPassword('U*U', bcrypt);
+  assert.equal(result.verified, true);
+  assert.equal(result.needsMigration, true);
+  assert.equal((await h.verifyPassword('U*U*', bcrypt)).verified, false);
+
+  const migrated = await h.migrateHashIfOutdated('U*U', bcrypt);
+  assert.equal(migrated.reason, 'Legacy bcrypt hash');
+  assert.equal((await h.verifyPassword('U*U', migrated.newHash)).needsMigration, false);
+
+  const django = `pbkdf2_sha256$1$salt$${pbkdf2Sync(PASSWORD, 'salt', 1, 32, 'sha256').toString('base64')}`;
+  assert.equal((await h.verifyPassword(PASSWORD, django)).code, 'HMAX_BELOW_MINIMUM');
+});
+
+test('wrapHash upgrades a weak hash without the password', async () => {
+  const h = hasher();
+  const hash = await h.createHash(PASSWORD, { algorithm: 'pbkdf2' });
+  assert.equal((await h.wrapHash(hash)).wrapped, false);
+
+  h.config.setConfig({ pbkdf2: { iterations: 20000 } });
+  const wrapped = await h.wrapHash(hash, { algorithm: 'pbkdf2' });
+  assert.equal(wrapped.wrapped, true);
+  assert.equal(wrapped.layers, 2);
+
+  const result = await h.verifyPassword(PASSWORD, wrapped.newHash);
+  assert.equal(result.verified, true);
+  assert.equal(result.needsMigration, true);
+  assert.equal((await h.migrateHashIfOutdated(PASSWORD, wrapped.newHash)).reason, 'Wrapped hash unwrapped to a single layer');
+});
+
+test('scrypt records N, r and p', async () => {
+  const h = hasher();
+  const hash = h.createHashSync(PASSWORD, { algorithm: 'scrypt' });
+  const metadata = h.extractMetadata(hash);
+  assert.equal(metadata.cost, 1024);
+  assert.equal(metadata.blockSize, 1);
+  assert.equal(h.verifyPasswordSync(PASSWORD, hash).verified, true);
+  assert.equal((await h.verifyPassword(PASSWORD, hash)).verified, true);
+});
+
+test('plugins register in one hasher only', async () => {
+  const plugin = {
+    id: 'sha512-iter',
+    deriveKey: async (input, salt, options) => plugin.deriveKeySync(input, salt, options),
+    deriveKeySync: (input, salt, { rounds, keyLength }) => {
+      let digest = Buffer.concat([salt, Buffer.from(input)]);
+      for (let i = 0; i < rounds; i++) {
+        digest = sha('sha512').update(digest).digest();
+      }
+      return digest.subarray(0, keyLength);
+    },
+    resolveParams: ({ rounds = 5000 }) => ({ rounds }),
+    encodeParams: ({ rounds }) => ({ k: rounds }),
+    decodeParams: (read) => ({ rounds: read.number('k') }),
+    validate: ({ rounds }) => {
+      if (!(rounds >= 1000)) throw new Error('Invalid rounds');
+    },
+    needsMigration: ({ rounds }) => rounds < 5000
+  };
+
+  const a = hasher();
+  const b = hasher();
+  a.registerAlgorithm(plugin);
+  assert.equal(a.algorithms.has('sha512-iter'), true);
+  assert.equal(b.algorithms.has('sha512-iter'), false);
+  assert.equal(b.algorithms.isBuiltin('argon2id'), true);
+
+  const hash = await a.createHash(PASSWORD, { algorithm: 'sha512-iter' });
+  assert.equal((await a.verifyPassword(PASSWORD, hash)).verified, true);
+  assert.equal((await b.verifyPassword(PASSWORD, hash)).verified, false);
+  b.registerAlgorithm(plugin);
+});
+
+test('sync hashing runs Argon2id on the bridge worker', async () => {
+  const h = hasher();
+  try {
+    const hash = h.createHashSync(PASSWORD, { algorithm: 'argon2id' });
+    assert.equal(h.verifyPasswordSync(PASSWORD, hash).verified, true);
+    assert.equal(h.verifyPasswordSync(`${PASSWORD}!`, hash).verified, false);
+  } finally {
+    await h.close();
+  }
+});
+
+test('the sync bridge fails instead of blocking when its worker dies', async () => {
+  const bridge = new SyncBridge();
+  const options = { memoryCost: 4096, timeCost: 1, parallelism: 1 };
+  try {
+    assert.equal(bridge.deriveSync('argon2id', Buffer.from(PASSWORD), Buffer.alloc(16), options).length, 64);
+
+    // A message the worker cannot destructure crashes it before the next one
+    bridge.port.postMessage(null);
+    assert.throws(
+      () => bridge.deriveSync('argon2id', Buffer.from(PASSWORD), Buffer.alloc(16), options),
+      { code: 'HMAX_WORKER_FAILED' }
+    );
+    assert.equal(bridge.deriveSync('argon2id', Buffer.from(PASSWORD), Buffer.alloc(16), options).length, 64);
+  } finally {
+    await bridge.close();
+  }
+});
+
+test('subkeys are separated by purpose and context', async () => {
+  const h = hasher();
+  assert.ok(Object.hasOwn(SUBKEY_PURPOSES, 'hmac'));
+  assert.equal(h.deriveSubkey('token').length, 64);
+  assert.notDeepEqual(h.deriveSubkey('token'), h.deriveSubkey('encryption'));
+  assert.notDeepEqual(h.deriveSubkey('token'), h.deriveSubkey('token', 'tenant-42'));
+  assert.throws(() => h.deriveSubkey('unknown'));
+
+  // The HMAC layer never uses the raw master secret for new hashes
+  const salt = Buffer.alloc(16, 2);
+  const mac = h.hmac.createHMAC(PASSWORD, salt);
+  assert.notDeepEqual(mac, h.hmac.createHMACWithSecret(PASSWORD, salt, SECRET));
+  assert.equal(h.hmac.verifyHMAC(PASSWORD, salt, mac).verified, true);
+
+  // v5 hashes keyed with the master secret still verify, and migrate
+  h.config.setConfig({ encoding: { formatVersion: 5 } });
+  const v5 = await h.createHash(PASSWORD, { algorithm: 'pbkdf2' });
+  h.config.setConfig({ encoding: { formatVersion: 6 } });
+  const result = await h.verifyPassword(PASSWORD, v5);
+  assert.equal(result.verified, true);
+  assert.equal(result.needsMigration, true);
+});
+
+test('context-bound hashes only verify for their context', async () => {
+  const h = hasher();
+  const bound = await h.createHash(PASSWORD, { algorithm: 'pbkdf2', context: 'user-1' });
+  assert.equal((await h.verifyPassword(PASSWORD, bound, null, { context: 'user-1' })).verified, true);
+  assert.equal((await h.verifyPassword(PASSWORD, bound, null, { context: 'user-2' })).verified, false);
+  assert.equal((await h.verifyPassword(PASSWORD, bound)).verified, false);
+
+  const unbound = await h.createHash(PASSWORD, { algorithm: 'pbkdf2' });
+  const result = await h.verifyPassword(PASSWORD, unbound, null, { context: 'user-1' });
+  assert.equal(result.verified, true);
+  assert.equal(result.needsMigration, true);
+});
+
+test('the integrity tag catches edited and stripped hashes', async () => {
+  const h = hasher();
+  const hash = await h.createHash(PASSWORD);
+  assert.equal(h.extractMetadata(hash).integrity, 'verified');
+
+  const edited = hash.replace('t=1', 't=2');
+  assert.equal((await h.verifyPassword(PASSWORD, edited)).code, 'HMAX_TAMPERED');
+  assert.throws(() => h.encoder.decodeHash(edited), IntegrityError);
+
+  const stripped = hash.split('$').slice(0, -1).join('$');
+  assert.equal((await h.verifyPassword(PASSWORD, stripped)).code, 'HMAX_TAMPERED');
+  assert.equal(h.verifyPasswordSync(PASSWORD, stripped).code, 'HMAX_TAMPERED');
+  const audit = h.auditHash(stripped);
+  assert.equal(audit.secure, false);
+  assert.ok(audit.issues.some((issue) => issue.includes('HMAX_TAMPERED')));
+
+  // Metadata without a version is encoded in the configured format, tag included
+  const { version, ...unversioned } = h.encoder.decodeHash(hash);
+  assert.equal(version, 6);
+  assert.equal(h.encoder.encodeHash(unversioned), hash);
+
+  // PHC strings carry the same tag
+  const phc = h.toPHC(hash);
+  assert.equal(h.extractMetadata(phc).integrity, 'verified');
+  assert.equal((await h.verifyPassword(PASSWORD, phc.replace('t=1', 't=2'))).code, 'HMAX_TAMPERED');
+  assert.throws(() => h.fromPHC(phc.replace('t=1', 't=2')), IntegrityError);
+  assert.equal((await h.verifyPassword(PASSWORD, phc.replace(/,tag=[^$]+/, ''))).code, 'HMAX_TAMPERED');
+
+  h.config.setConfig({ encoding: { integrityTag: false } });
+  const untagged = await h.createHash(PASSWORD);
+  assert.equal(untagged.split('$').length, hash.split('$').length - 1);
+  assert.equal((await h.verifyPassword(PASSWORD, untagged)).verified, true);
+});
+
+test('field encryption binds its context and survives rotation', () => {
+  const h = hasher();
+  const token = h.encrypt('JBSWY3DPEHPK3PXP', { context: 'user-1:totp' });
+  assert.match(token, /^hmaxenc\$1\$aes-256-gcm\$/);
+  assert.equal(h.decrypt(token, { context: 'user-1:totp', encoding: 'utf8' }), 'JBSWY3DPEHPK3PXP');
+  assert.throws(() => h.decrypt(token, { context: 'user-2:totp' }), IntegrityError);
+
+  h.rotateSecret();
+  assert.equal(h.decrypt(token, { context: 'user-1:totp', encoding: 'utf8' }), 'JBSWY3DPEHPK3PXP');
+  const result = h.reencrypt(token, { context: 'user-1:totp' });
+  assert.equal(result.reencrypted, true);
+  assert.equal(h.decrypt(result.newToken, { context: 'user-1:totp', encoding: 'utf8' }), 'JBSWY3DPEHPK3PXP');
+});
+
+test('tokens check purpose and subject, and a store makes them single-use', async () => {
+  const h = hasher({}, { tokenStore: new MemoryTokenStore() });
+  const token = h.issueToken({ subject: 'user-1', purpose: 'password-reset', ttl: 900 });
+
+  assert.equal((await h.verifyToken(token, { purpose: 'email-verification' })).valid, false);
+  assert.equal((await h.verifyToken(token, { purpose: 'password-reset', subject: 'user-2' })).valid, false);
+
+  const result = await h.verifyToken(token, { purpose: 'password-reset', subject: 'user-1' });
+  assert.equal(result.valid, true);
+  assert.equal(result.subject, 'user-1');
+  assert.equal((await h.verifyToken(token, { purpose: 'password-reset' })).error, 'Token already used');
+
+  const tampered = token.slice(0, -2) + (token.endsWith('AA') ? 'BB' : 'AA');
+  assert.equal((await h.verifyToken(tampered, { purpose: 'password-reset' })).valid, false);
+});
+
+test('API keys verify by lookup ID and migrate after rotation', () => {
+  const h = hasher();
+  const { key, id, hash } = h.createApiKey({ environment: 'test' });
+  assert.match(key, /^hmx_test_[0-9a-f]{16}_/);
+  assert.deepEqual(h.parseApiKey(key), { environment: 'test', id });
+
+  assert.equal(h.verifyApiKey(key, hash).verified, true);
+  assert.equal(h.verifyApiKey(`${key.slice(0, -1)}${key.endsWith('A') ? 'B' : 'A'}`, hash).verified, false);
+
+  h.rotateSecret();
+  const result = h.verifyApiKey(key, hash);
+  assert.equal(result.verified, true);
+  assert.equal(result.needsMigration, true);
+  assert.equal(h.verifyApiKey(key, h.hashApiKey(key)).needsMigration, false);
+});
+
+test('the password policy rejects weak new passwords only', async () => {
+  const h = hasher({ policy: { bannedWords: ['acme'] } });
+  await assert.rejects(h.createHash('short'), (error) =>
+    error instanceof PasswordPolicyError && error.violations.some((v) => v.code === 'TOO_SHORT'));
+
+  const { valid, violations } = h.checkPassword('alice-acme-2024', { username: 'alice' });
+  assert.equal(valid, false);
+  assert.deepEqual(violations.map((v) => v.code).sort(), ['BANNED_WORD', 'CONTAINS_CONTEXT_WORD']);
+  assert.equal(h.checkPassword(PASSWORD).valid, true);
+
+  // Tightening the policy never locks out existing hashes
+  const hash = await h.createHash(PASSWORD, { algorithm: 'pbkdf2' });
+  h.config.setConfig({ policy: { minLength: 64 } });
+  assert.equal((await h.verifyPassword(PASSWORD, hash)).verified, true);
+});
+
+test('string passwords are normalized and the mode is recorded', async () => {
+  const h = hasher();
+  const composed = 'caf\u00e9 au lait';
+  const decomposed = 'cafe\u0301 au lait';
+  const hash = await h.createHash(composed, { algorithm: 'pbkdf2' });
+  assert.equal(h.extractMetadata(hash).normalization, 'opaque');
+  assert.equal((await h.verifyPassword(decomposed, hash)).verified, true);
+  assert.equal((await h.verifyPassword('caf\u00e9\u00a0au lait', hash)).verified, true);
+
+  h.config.setConfig({ passwordNormalization: 'none' });
+  const raw = await h.createHash(composed, { algorithm: 'pbkdf2' });
+  assert.equal((await h.verifyPassword(decomposed, raw)).verified, false);
+
+  h.config.setConfig({ passwordNormalization: 'opaque' });
+  const result = await h.verifyPassword(composed, raw);
+  assert.equal(result.verified, true);
+  assert.equal(result.needsMigration, true);
+  await assert.rejects(h.createHash('password\u0000with nul'));
+
+  // Older formats report their format first, not their normalization. The v2 hash
+  // was made by the pre-RFC 9106 release under SECRET with m=4096, t=1, p=1
+  const v2 = 'hmax$2$argon2id$LJ6CHkYigNuaRNTEpy0YKVYCFndML5yl1RyD3KANqKY=$1$4096$1$' +
+    'beNWXDrZ3Ol6rNleQ7ki/Qn2MvIxcWud2XNqLtBjFMew2UeRT3KPdfBzIJpQ9Mt2RE6YC0A9ddZ6NazQnM3nFQ==';
+  const legacy = await h.migrateHashIfOutdated(PASSWORD, v2);
+  assert.equal(legacy.reason, 'Legacy scrypt-based Argon2 hash');
+  h.config.setConfig({ encoding: { formatVersion: 5 } });
+  const v5 = await h.createHash(PASSWORD, { algorithm: 'pbkdf2' });
+  h.config.setConfig({ encoding: { formatVersion: 6 }, passwordNormalization: 'nfc' });
+  assert.equal((await h.migrateHashIfOutdated(PASSWORD, v5)).reason, 'Outdated format version: 5');
+});
+
+test('breached passwords are rejected from a dump or a Bloom filter', async () => {
+  const directory = mkdtempSync(join(tmpdir(), 'hmax-breach-'));
+  try {
+    const breached = ['password123', 'letmein-please'];
+    const dump = join(directory, 'pwned.txt');
+    writeFileSync(dump, breached
+      .map((password, i) => `${sha('sha1').update(password).digest('hex').toUpperCase()}:${i + 10}`)
+      .join('\n'));
+
+    const checker = BreachChecker.load(dump);
+    assert.equal(checker.isBreached('password123'), true);
+    assert.equal(checker.count('letmein-please'), 11);
+    assert.equal(checker.isBreached(PASSWORD), false);
+    assert.equal(checker.exact, true);
+
+    const h = hasher({}, { breachChecker: checker });
+    await assert.rejects(h.createHash('password123'), (error) =>
+      error.violations.some((v) => v.code === 'BREACHED'));
+    h.config.setConfig({ policy: { rejectBreached: false } });
+    assert.equal(h.checkPassword('password123').valid, true);
+
+    const filter = join(directory, 'pwned.filter');
+    const stats = await BreachChecker.buildFilter(dump, filter);
+    assert.equal(stats.entries, 2);
+    const bloom = BreachChecker.load(filter);
+    assert.equal(bloom.exact, false);
+    assert.equal(bloom.isBreached('letmein-please'), true);
+    assert.equal(bloom.isBreached(PASSWORD), false);
+  } finally {
+    rmSync(directory, { recursive: true, force: true });
+  }
+});